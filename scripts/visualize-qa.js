@@ -4,38 +4,408 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const crypto = require('crypto');
+const http = require('http');
 
 // ─── Constants ───────────────────────────────────────────────────────────────
-const CLAUDE_DIR = path.join(os.homedir(), '.claude', 'projects');
+// Used when no --source is given; CLAUDE_CONFIG_DIR relocates Claude Code's whole config dir
+const DEFAULT_CLAUDE_DIR = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
 const OUTPUT_PATH = path.join(os.tmpdir(), 'claude-qa-sessions.html');
+const OUTPUT_EXTENSIONS = { html: 'html', markdown: 'md', json: 'json', jsonl: 'jsonl', csv: 'csv' };
 const OPEN_CMD = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'start' : 'xdg-open';
+const READ_CHUNK_SIZE = 1024 * 1024;
+const CACHE_DIR = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'claude-qa-viewer');
+// Bump whenever extraction output changes shape so stale cache entries are dropped
+const CACHE_VERSION = 6;
+const DEFAULT_PORT = 4777;
+const WATCH_DEBOUNCE_MS = 500;
+// Tools that run a subagent; their transcripts are attached as nested threads
+const SUBAGENT_TOOL_NAMES = new Set(['Task', 'Agent']);
+// Tool output kept per call, so large reads and logs don't bloat the page
+const TOOL_OUTPUT_MAX_CHARS = 4000;
+// Process exit codes, documented in the README for scripts and CI
+const EXIT_CODES = { ok: 0, error: 1, usage: 2, noSessions: 3 };
+
+// Web fonts first, then local fallbacks so the page still reads well offline
+const FONT_STACKS = {
+  serif: ['Newsreader', 'Iowan Old Style', 'Palatino Linotype', 'Palatino', 'Georgia', 'serif'],
+  mono: ['JetBrains Mono', 'ui-monospace', 'SFMono-Regular', 'Menlo', 'Consolas', 'monospace'],
+  sans: ['Inter', 'system-ui', '-apple-system', 'Segoe UI', 'Roboto', 'Helvetica Neue', 'Arial', 'sans-serif'],
+};
+
+// Console output, configured by configureLogging(): progress messages go to
+// stdout (stderr when stdout carries the output), warnings and errors to stderr.
+// Progress stays silent when the file is required as a module.
+let log = () => {};
+let warn = console.warn;
+let logError = console.error;
+
+// ─── CLI Arguments ───────────────────────────────────────────────────────────
+
+const USAGE = `Usage: node visualize-qa.js [options]
+
+Sources:
+  --source <dir>          Read transcripts from this Claude config or projects dir
+                          (repeatable; default $CLAUDE_CONFIG_DIR or ~/.claude)
+
+Scope:
+  --project <name|path>   Only sessions from this project (name suffix or cwd path)
+  --cwd-only              Only sessions from the current directory's project
+  --since <date>          Only sessions with activity on or after this date
+  --until <date>          Only sessions started on or before this date
+  --session <id-prefix>   Only sessions whose ID starts with this prefix
+
+Extraction:
+  --include-thinking      Keep Claude's thinking blocks (shown on demand in the viewer)
+
+Privacy:
+  --redact                Mask secrets, emails and your home path before output
+  --redact-patterns <file>
+                          Also mask these regexes (one per line; implies --redact)
+
+Cache:
+  --rebuild-cache         Ignore the index cache and reparse every transcript
+
+Output:
+  --format <html|markdown|json|jsonl|csv>
+                          Output format (default html)
+  --out <path|->          Write output here instead of the temp dir; - for stdout
+                          (HTML with a --session matching one session becomes
+                          a standalone page for just that transcript)
+  --out-dir <dir>         Write index.html plus per-session data files that load
+                          on demand (HTML only; for very large histories)
+  --offline               Inline all CSS and icons; no CDN or web font requests
+  --serve                 Serve the viewer locally and push new Q&A live
+  --port <n>              Port for --serve (default ${DEFAULT_PORT})
+  --no-open               Don't open the result in a browser
+  --suggest-instructions  Print draft CLAUDE.md rules, with citations, for
+                          questions you always answer the same way in a
+                          project (to stdout, or the file given with --out)
+
+Logging:
+  --quiet                 Only print warnings and errors
+  --json-log              Print log messages as JSON lines
+
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 error, 2 invalid arguments, 3 no sessions found`;
+
+function parseArgs(argv) {
+  const options = {
+    project: '',
+    cwdOnly: false,
+    since: null,
+    until: null,
+    session: '',
+    includeThinking: false,
+    redact: false,
+    redactPatterns: '',
+    rebuildCache: false,
+    format: 'html',
+    out: '',
+    offline: false,
+    serve: false,
+    port: DEFAULT_PORT,
+    sources: [],
+    outDir: '',
+    open: true,
+    quiet: false,
+    jsonLog: false,
+    suggestInstructions: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    // Support both "--flag value" and "--flag=value"
+    const eq = arg.indexOf('=');
+    if (arg.startsWith('--') && eq !== -1) {
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+    const takeValue = () => {
+      if (value !== undefined) return value;
+      const next = argv[++i];
+      if (next === undefined || next.startsWith('--')) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return next;
+    };
+
+    switch (arg) {
+      case '--source': options.sources.push(takeValue()); break;
+      case '--project': options.project = takeValue(); break;
+      case '--cwd-only': options.cwdOnly = true; break;
+      case '--since': options.since = parseDateArg(takeValue(), false); break;
+      case '--until': options.until = parseDateArg(takeValue(), true); break;
+      case '--session': options.session = takeValue(); break;
+      case '--include-thinking': options.includeThinking = true; break;
+      case '--redact': options.redact = true; break;
+      case '--redact-patterns': options.redactPatterns = takeValue(); options.redact = true; break;
+      case '--rebuild-cache': options.rebuildCache = true; break;
+      case '--format': options.format = parseFormatArg(takeValue()); break;
+      case '--out': options.out = takeValue(); break;
+      case '--out-dir': options.outDir = takeValue(); break;
+      case '--offline': options.offline = true; break;
+      case '--serve': options.serve = true; break;
+      case '--port': options.port = parsePortArg(takeValue()); break;
+      case '--no-open': options.open = false; break;
+      case '--quiet': options.quiet = true; break;
+      case '--json-log': options.jsonLog = true; break;
+      case '--suggest-instructions': options.suggestInstructions = true; break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.cwdOnly && options.project) {
+    throw new Error('--cwd-only and --project cannot be combined');
+  }
+  if (options.serve && options.format !== 'html') {
+    throw new Error('--serve only supports --format html');
+  }
+  if (options.serve && options.out) {
+    throw new Error('--out cannot be combined with --serve');
+  }
+  if (options.outDir && (options.out || options.serve || options.format !== 'html')) {
+    throw new Error('--out-dir only works for HTML and cannot be combined with --out or --serve');
+  }
+  if (options.suggestInstructions) {
+    if (options.serve || options.outDir || options.format !== 'html') {
+      throw new Error('--suggest-instructions cannot be combined with --format, --serve or --out-dir');
+    }
+    // A draft for review: never let it replace a real instructions file
+    if (/^CLAUDE(\.local)?\.md$/i.test(path.basename(options.out))) {
+      throw new Error('--suggest-instructions writes a draft; pass a different --out and copy the rules you want into CLAUDE.md yourself');
+    }
+    if (!options.out) options.out = '-';
+  }
+  if (options.cwdOnly) options.project = process.cwd();
+  if (options.since && options.until && options.since > options.until) {
+    throw new Error('--since must be before --until');
+  }
+  return options;
+}
+
+function parseFormatArg(value) {
+  const aliases = { html: 'html', markdown: 'markdown', md: 'markdown', json: 'json', jsonl: 'jsonl', ndjson: 'jsonl', csv: 'csv' };
+  const format = aliases[value.toLowerCase()];
+  if (!format) throw new Error(`Unknown format: ${value}`);
+  return format;
+}
+
+function parsePortArg(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${value}`);
+  }
+  return port;
+}
+
+function parseDateArg(value, endOfDay) {
+  // Plain dates are taken as local days; --until covers the whole day
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (m) {
+    const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    if (endOfDay) d.setHours(23, 59, 59, 999);
+    return d;
+  }
+  const d = new Date(value);
+  if (isNaN(d.getTime())) throw new Error(`Invalid date: ${value}`);
+  return d;
+}
 
 // ─── Discovery ───────────────────────────────────────────────────────────────
 
-function discoverSessionFiles() {
+function resolveProjectRoots(sources = []) {
+  // A source is a Claude config dir (with projects/ inside) or a projects dir itself
+  const dirs = sources.length ? sources : [DEFAULT_CLAUDE_DIR];
+  return [...new Set(dirs.map(dir => {
+    const resolved = path.resolve(dir);
+    const projectsDir = path.join(resolved, 'projects');
+    return fs.existsSync(projectsDir) ? projectsDir : resolved;
+  }))];
+}
+
+/**
+ * List session transcripts in scope without parsing them.
+ * @param {LoadOptions} [scope] with since/until already parsed to Dates
+ * @returns {FileInfo[]}
+ */
+function discoverSessionFiles(scope = {}) {
   const results = [];
-  if (!fs.existsSync(CLAUDE_DIR)) {
-    console.error(`Claude projects directory not found: ${CLAUDE_DIR}`);
-    return results;
+  const matchedDirs = new Set();
+  for (const root of resolveProjectRoots(scope.sources)) {
+    if (!fs.existsSync(root)) {
+      warn(`Claude projects directory not found: ${root}`);
+      continue;
+    }
+    results.push(...discoverProjectRoot(root, scope, matchedDirs));
   }
-  const projectDirs = fs.readdirSync(CLAUDE_DIR, { withFileTypes: true })
+  saveAgentParentCache();
+  if (matchedDirs.size > 1) {
+    warn(`--project ${scope.project} matches ${matchedDirs.size} projects: ${[...matchedDirs].join(', ')}. Pass a path to pick one.`);
+  }
+  return results;
+}
+
+function discoverProjectRoot(root, scope, matchedDirs = new Set()) {
+  const results = [];
+  const projectDirs = fs.readdirSync(root, { withFileTypes: true })
     .filter(d => d.isDirectory());
 
   for (const dir of projectDirs) {
-    const projectPath = path.join(CLAUDE_DIR, dir.name);
-    const files = fs.readdirSync(projectPath, { withFileTypes: true })
-      .filter(f => f.isFile() && f.name.endsWith('.jsonl'));
+    const projectPath = path.join(root, dir.name);
+    const sessionFiles = fs.readdirSync(projectPath, { withFileTypes: true })
+      .filter(f => f.isFile() && f.name.endsWith('.jsonl') && !isSubagentFileName(f.name));
+    if (scope.project) {
+      const readCwd = () => firstFieldOfAny(sessionFiles.map(f => path.join(projectPath, f.name)), 'cwd');
+      if (!matchesProjectDir(dir.name, scope.project, readCwd)) continue;
+      if (sessionFiles.length) matchedDirs.add(dir.name);
+    }
+    const files = sessionFiles.filter(f => !scope.session || f.name.startsWith(scope.session));
+    if (files.length === 0) continue;
+    const legacyAgentFiles = listLegacyAgentFiles(projectPath, { rebuild: scope.rebuildCache });
     for (const f of files) {
-      results.push({
-        filePath: path.join(projectPath, f.name),
-        projectDir: dir.name,
-        sessionId: f.name.replace('.jsonl', ''),
-      });
+      const filePath = path.join(projectPath, f.name);
+      if (!matchesDateRange(filePath, scope)) continue;
+      results.push(fileInfoFromPath(filePath, legacyAgentFiles));
     }
   }
   return results;
 }
 
+function fileInfoFromPath(filePath, legacyAgentFiles = listLegacyAgentFiles(path.dirname(filePath))) {
+  const sessionId = path.basename(filePath, '.jsonl');
+  // Subagent transcripts live under <project>/<sessionId>/ (e.g. subagents/agent-<id>.jsonl);
+  // older versions wrote agent-<id>.jsonl next to the session file instead
+  const subagentFiles = findJSONLFiles(path.join(path.dirname(filePath), sessionId))
+    .concat(legacyAgentFiles.get(sessionId) || []);
+  return {
+    filePath,
+    projectDir: path.basename(path.dirname(filePath)),
+    sessionId,
+    subagentFiles,
+  };
+}
+
+function isSubagentFileName(name) {
+  return name.startsWith('agent-');
+}
+
+function listLegacyAgentFiles(projectPath, { rebuild = false } = {}) {
+  // Map parent sessionId → top-level agent-*.jsonl files; the parent is read
+  // from each file's head unless the agent parent cache already knows it
+  const byParent = new Map();
+  for (const name of fs.readdirSync(projectPath)) {
+    if (!name.endsWith('.jsonl') || !isSubagentFileName(name)) continue;
+    const filePath = path.join(projectPath, name);
+    const parentId = lookupAgentParent(filePath, { rebuild });
+    if (!parentId) continue;
+    if (!byParent.has(parentId)) byParent.set(parentId, []);
+    byParent.get(parentId).push(filePath);
+  }
+  return byParent;
+}
+
+function findJSONLFiles(dirPath) {
+  if (!fs.existsSync(dirPath)) return [];
+  const found = [];
+  for (const d of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const childPath = path.join(dirPath, d.name);
+    if (d.isDirectory()) found.push(...findJSONLFiles(childPath));
+    else if (d.isFile() && d.name.endsWith('.jsonl')) found.push(childPath);
+  }
+  return found.sort();
+}
+
+function statSessionFiles(fileInfo) {
+  // A session changes when its transcript or any subagent transcript does
+  let mtimeMs = 0;
+  let size = 0;
+  for (const filePath of [fileInfo.filePath, ...(fileInfo.subagentFiles || [])]) {
+    const stat = fs.statSync(filePath);
+    mtimeMs = Math.max(mtimeMs, stat.mtimeMs);
+    size += stat.size;
+  }
+  return { mtimeMs, size };
+}
+
+function isSessionFileInScope(fileInfo, scope = {}) {
+  if (scope.project && !matchesProjectDir(fileInfo.projectDir, scope.project, () => readFirstField(fileInfo.filePath, 'cwd'))) return false;
+  if (scope.session && !fileInfo.sessionId.startsWith(scope.session)) return false;
+  return matchesDateRange(fileInfo.filePath, scope);
+}
+
+function encodeProjectDir(cwd) {
+  // Claude Code names project dirs after the cwd with every non-alphanumeric
+  // character replaced by "-", e.g. "/Users/me/my.app" → "-Users-me-my-app"
+  return cwd.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+function matchesProjectDir(dirName, project, readCwd = () => '') {
+  // Paths must match exactly; bare names match the trailing path segments.
+  // The encoded dir name can't tell "my-app" from "my/app", so it only
+  // narrows the candidates and the real cwd decides when one can be read.
+  if (/^[~./]/.test(project) || path.isAbsolute(project)) {
+    const resolved = path.resolve(project.replace(/^~(?=$|\/)/, os.homedir()));
+    return dirName === encodeProjectDir(resolved);
+  }
+  const encoded = encodeProjectDir(project).toLowerCase();
+  const name = dirName.toLowerCase();
+  if (name !== encoded && !name.endsWith('-' + encoded)) return false;
+  const cwd = readCwd().replace(/\\/g, '/').replace(/\/+$/, '').toLowerCase();
+  if (!cwd) return true;
+  const wanted = project.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '').toLowerCase();
+  return cwd === wanted || cwd.endsWith('/' + wanted);
+}
+
+function firstFieldOfAny(filePaths, field) {
+  for (const filePath of filePaths) {
+    const value = readFirstField(filePath, field);
+    if (value) return value;
+  }
+  return '';
+}
+
+function matchesDateRange(filePath, scope) {
+  // Cheap checks that avoid parsing: the file's mtime is its last activity,
+  // and the first timestamped line is when the session started
+  if (!scope.since && !scope.until) return true;
+  if (scope.since && fs.statSync(filePath).mtime < scope.since) return false;
+  if (scope.until) {
+    const start = readFirstField(filePath, 'timestamp');
+    if (start && new Date(start) > scope.until) return false;
+  }
+  return true;
+}
+
+function readFirstField(filePath, field) {
+  // Read only the head of the file; the first entries carry the start time,
+  // sessionId and the like
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buf, 0, buf.length, 0);
+    const lines = buf.toString('utf-8', 0, bytes).split('\n');
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry[field]) return entry[field];
+      } catch (e) {
+        // partial or malformed line
+      }
+    }
+    return '';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
 function extractProjectName(cwd, dirNameFallback) {
   // Use the real cwd path to preserve actual directory names with hyphens
   // e.g. "/Users/reehan/Desktop/context-transfer/portfolio-website" → "context-transfer/portfolio-website"
@@ -61,80 +431,220 @@ function stripTags(str) {
   return str.replace(/<[^>]+>/g, '').trim();
 }
 
-function parseJSONLFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const lines = content.split('\n').filter(l => l.trim());
-  const parsed = [];
-  for (const line of lines) {
+function readJSONLFile(filePath, onEntry) {
+  // Stream the file in fixed-size chunks so memory stays bounded by the
+  // longest line, not the file. Only valid entries advance the line index.
+  const stats = { lines: 0, malformed: 0 };
+  const decoder = new StringDecoder('utf8');
+  const buf = Buffer.alloc(READ_CHUNK_SIZE);
+  let partial = [];
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    let entry;
     try {
-      parsed.push(JSON.parse(line));
+      entry = JSON.parse(line);
     } catch (e) {
-      // skip malformed lines
+      stats.malformed++;
+      return;
+    }
+    onEntry(entry, stats.lines++);
+  };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      const text = decoder.write(buf.subarray(0, bytes));
+      let start = 0;
+      let nl;
+      while ((nl = text.indexOf('\n', start)) !== -1) {
+        partial.push(text.slice(start, nl));
+        handleLine(partial.join(''));
+        partial = [];
+        start = nl + 1;
+      }
+      if (start < text.length) partial.push(text.slice(start));
     }
+    partial.push(decoder.end());
+    handleLine(partial.join(''));
+  } finally {
+    fs.closeSync(fd);
   }
+  return stats;
+}
+
+function parseJSONLFile(filePath) {
+  const parsed = [];
+  readJSONLFile(filePath, entry => parsed.push(entry));
   return parsed;
 }
 
-// ─── Q&A Extraction ──────────────────────────────────────────────────────────
+/**
+ * Parse one session transcript and its subagent transcripts, bypassing the cache.
+ * @param {FileInfo} fileInfo
+ * @param {{includeThinking?: boolean}} [options]
+ * @returns {{meta: SessionMeta, qaPairs: QAPair[], timeline: TimelineEntry[], stats: {lines: number, malformed: number}}}
+ */
+function parseSessionFile(fileInfo, { includeThinking = false } = {}) {
+  // Single pass: every entry is fed to all extractors as it is read
+  const metaCollector = createMetaCollector(fileInfo);
+  const qaCollector = createQACollector({ includeThinking });
+  const timelineCollector = createTimelineCollector({ includeThinking });
+
+  const stats = readJSONLFile(fileInfo.filePath, (entry, i) => {
+    metaCollector.add(entry, i);
+    qaCollector.add(entry, i);
+    timelineCollector.add(entry, i);
+  });
 
-function extractQAPairs(parsedLines) {
-  // Pass 1: Index all AskUserQuestion tool_use blocks
-  const toolUseMap = new Map(); // id → { questions, lineIndex, timestamp }
-  for (let i = 0; i < parsedLines.length; i++) {
-    const entry = parsedLines[i];
-    if (entry.type !== 'assistant' || !entry.message?.content) continue;
-    const content = entry.message.content;
-    if (!Array.isArray(content)) continue;
-    for (const block of content) {
-      if (block.type === 'tool_use' && block.name === 'AskUserQuestion') {
-        toolUseMap.set(block.id, {
-          questions: block.input?.questions || [],
-          lineIndex: i,
-          timestamp: entry.timestamp,
-          toolUseId: block.id,
-        });
-      }
+  const timeline = timelineCollector.finish();
+  const qaPairs = qaCollector.finish();
+  for (const subagentFile of fileInfo.subagentFiles || []) {
+    const thread = parseSubagentFile(subagentFile, { includeThinking });
+    stats.malformed += thread.stats.malformed;
+    if (thread.timeline.length === 0) continue;
+    attachSubagentThread(timeline, thread);
+    qaPairs.push(...thread.qaPairs);
+  }
+  qaPairs.sort((a, b) => (a.answerTimestamp || '').localeCompare(b.answerTimestamp || ''));
+
+  return {
+    meta: metaCollector.finish(),
+    qaPairs,
+    timeline,
+    stats,
+  };
+}
+
+function parseSubagentFile(filePath, { includeThinking = false } = {}) {
+  const qaCollector = createQACollector({ includeThinking });
+  const timelineCollector = createTimelineCollector({ inThread: true, includeThinking });
+  let agentId = '';
+
+  const stats = readJSONLFile(filePath, (entry, i) => {
+    if (!agentId && entry.agentId) agentId = entry.agentId;
+    qaCollector.add(entry, i);
+    timelineCollector.add(entry, i);
+  });
+  if (!agentId) agentId = path.basename(filePath, '.jsonl').replace(/^agent-/, '');
+
+  const qaPairs = qaCollector.finish();
+  for (const pair of qaPairs) pair.agentId = agentId;
+  return { agentId, timeline: timelineCollector.finish(), qaPairs, stats };
+}
+
+function attachSubagentThread(timeline, thread) {
+  const entry = {
+    type: 'subagent',
+    timestamp: thread.timeline[0].timestamp,
+    agentId: thread.agentId,
+    description: '',
+    subagentType: '',
+    timeline: thread.timeline,
+  };
+  // The Task call that spawned the agent names it in its result; the thread
+  // takes that call's place. Otherwise slot it in by start time.
+  const task = findTimelineEntry(timeline, e => e.type === 'tool_use' && e.agentId === thread.agentId);
+  if (task) {
+    const taskEntry = task.list[task.index];
+    entry.timestamp = taskEntry.timestamp;
+    entry.description = taskEntry.description || '';
+    entry.subagentType = taskEntry.subagentType || '';
+    task.list[task.index] = entry;
+    return;
+  }
+  const at = timeline.findIndex(e => e.timestamp > entry.timestamp);
+  timeline.splice(at === -1 ? timeline.length : at, 0, entry);
+}
+
+function findTimelineEntry(timeline, predicate) {
+  // Depth-first through abandoned branches, which keep their own timelines
+  for (let i = 0; i < timeline.length; i++) {
+    if (predicate(timeline[i])) return { list: timeline, index: i };
+    if (timeline[i].type === 'fork') {
+      const found = findTimelineEntry(timeline[i].timeline, predicate);
+      if (found) return found;
     }
   }
+  return null;
+}
 
-  // Pass 2: Find matching responses
+// ─── Q&A Extraction ──────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} parsedLines transcript entries, e.g. from parseJSONLFile()
+ * @returns {QAPair[]}
+ */
+function extractQAPairs(parsedLines) {
+  const collector = createQACollector();
+  parsedLines.forEach((entry, i) => collector.add(entry, i));
+  return collector.finish();
+}
+
+function createQACollector({ includeThinking = false } = {}) {
+  // AskUserQuestion tool_use blocks are indexed as they appear; their
+  // tool_result always comes later in the file, so one pass pairs them
+  const toolUseMap = new Map(); // id → { questions, lineIndex, timestamp, reasoning }
   const pairs = [];
-  for (let i = 0; i < parsedLines.length; i++) {
-    const entry = parsedLines[i];
-    if (entry.type !== 'user' || !entry.message?.content) continue;
+  let lastThinking = ''; // latest thinking in the current turn, kept as the question's reasoning
+
+  function add(entry, i) {
+    if (!entry.message?.content) return;
     const content = entry.message.content;
-    if (!Array.isArray(content)) continue;
-
-    for (const block of content) {
-      if (block.type === 'tool_result' && toolUseMap.has(block.tool_use_id)) {
-        // Skip errored responses
-        if (block.is_error) continue;
-
-        const askData = toolUseMap.get(block.tool_use_id);
-        let answers = {};
-
-        // Primary: use toolUseResult (structured)
-        if (entry.toolUseResult?.answers) {
-          answers = entry.toolUseResult.answers;
-        } else {
-          // Fallback: parse from content string
-          answers = parseAnswersFromContent(block.content, askData.questions);
+    if (entry.type === 'user' && (typeof content === 'string' || (Array.isArray(content) && content.some(b => b.type === 'text')))) {
+      lastThinking = ''; // a new prompt starts a new turn
+    }
+    if (!Array.isArray(content)) return;
+
+    if (entry.type === 'assistant') {
+      for (const block of content) {
+        if (block.type === 'thinking' && includeThinking && block.thinking?.trim()) {
+          lastThinking = block.thinking.trim();
+        } else if (block.type === 'tool_use' && block.name === 'AskUserQuestion') {
+          toolUseMap.set(block.id, {
+            questions: block.input?.questions || [],
+            lineIndex: i,
+            timestamp: entry.timestamp,
+            toolUseId: block.id,
+            reasoning: lastThinking,
+          });
         }
+      }
+    } else if (entry.type === 'user') {
+      for (const block of content) {
+        if (block.type === 'tool_result' && toolUseMap.has(block.tool_use_id)) {
+          // Skip errored responses
+          if (block.is_error) continue;
 
-        pairs.push({
-          questions: askData.questions,
-          answers,
-          askTimestamp: askData.timestamp,
-          answerTimestamp: entry.timestamp,
-          askLineIndex: askData.lineIndex,
-          answerLineIndex: i,
-          toolUseId: askData.toolUseId,
-        });
+          const askData = toolUseMap.get(block.tool_use_id);
+          let answers = {};
+
+          // Primary: use toolUseResult (structured)
+          if (entry.toolUseResult?.answers) {
+            answers = entry.toolUseResult.answers;
+          } else {
+            // Fallback: parse from content string
+            answers = parseAnswersFromContent(block.content, askData.questions);
+          }
+
+          pairs.push({
+            questions: askData.questions,
+            answers,
+            selections: askData.questions.map(q => resolveSelection(q, answers[q.question])),
+            askTimestamp: askData.timestamp,
+            answerTimestamp: entry.timestamp,
+            askLineIndex: askData.lineIndex,
+            answerLineIndex: i,
+            toolUseId: askData.toolUseId,
+            ...(askData.reasoning ? { reasoning: askData.reasoning } : {}),
+          });
+        }
       }
     }
   }
 
-  return pairs;
+  return { add, finish: () => pairs };
 }
 
 function parseAnswersFromContent(contentStr, questions) {
@@ -159,23 +669,76 @@ function parseAnswersFromContent(contentStr, questions) {
   return answers;
 }
 
+// Resolve an answer string into the exact option labels it picked plus any
+// free-text "Other" input. Multi-select answers arrive as the chosen labels
+// joined with ", ", and a label may itself contain ", ", so consecutive parts
+// are matched longest-first; anything left over is the custom text.
+function resolveSelection(question, answerText) {
+  const answer = String(answerText || '').trim();
+  const labels = (question.options || []).map(opt => opt.label);
+  const byKey = new Map(labels.map(label => [label.trim().toLowerCase(), label]));
+  if (!answer) return { selectedOptions: [], customAnswer: '' };
+
+  const exact = byKey.get(answer.toLowerCase());
+  if (exact !== undefined) return { selectedOptions: [exact], customAnswer: '' };
+  if (!question.multiSelect) return { selectedOptions: [], customAnswer: answer };
+
+  const parts = answer.split(', ');
+  const selected = [];
+  const leftover = [];
+  let i = 0;
+  while (i < parts.length) {
+    let matched = false;
+    for (let j = parts.length; j > i; j--) {
+      const label = byKey.get(parts.slice(i, j).join(', ').trim().toLowerCase());
+      if (label !== undefined && !selected.includes(label)) {
+        selected.push(label);
+        i = j;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) leftover.push(parts[i++]);
+  }
+  // Report picks in the order the question listed them
+  return {
+    selectedOptions: labels.filter(label => selected.includes(label)),
+    customAnswer: leftover.join(', ').trim(),
+  };
+}
+
 // ─── Session Metadata ────────────────────────────────────────────────────────
 
+/**
+ * @param {object[]} parsedLines transcript entries, e.g. from parseJSONLFile()
+ * @param {FileInfo} fileInfo
+ * @returns {SessionMeta}
+ */
 function extractSessionMeta(parsedLines, fileInfo) {
+  const collector = createMetaCollector(fileInfo);
+  parsedLines.forEach((entry, i) => collector.add(entry, i));
+  return collector.finish();
+}
+
+function createMetaCollector(fileInfo) {
   let slug = '';
   let customTitle = '';
   let cwd = '';
   let startTime = '';
   let firstUserMessage = '';
+  let resumedFrom = '';
 
-  for (const entry of parsedLines) {
+  function add(entry) {
     if (!startTime && entry.timestamp) startTime = entry.timestamp;
+    // A resumed session starts with history carried over from the session it
+    // continued, and those entries keep the original sessionId
+    if (!resumedFrom && entry.sessionId && entry.sessionId !== fileInfo.sessionId) resumedFrom = entry.sessionId;
     if (!slug && entry.slug) slug = entry.slug;
     if (!cwd && entry.cwd) cwd = entry.cwd;
     if (entry.type === 'custom-title' && entry.customTitle) {
       customTitle = entry.customTitle;
     }
-    if (!firstUserMessage && entry.type === 'user') {
+    if (!firstUserMessage && entry.type === 'user' && !entry.isSidechain) {
       const msg = entry.message;
       let candidate = '';
       if (typeof msg?.content === 'string') {
@@ -191,40 +754,130 @@ function extractSessionMeta(parsedLines, fileInfo) {
     }
   }
 
-  return {
-    sessionId: fileInfo.sessionId,
-    projectDir: fileInfo.projectDir,
-    projectName: extractProjectName(cwd, fileInfo.projectDir),
-    slug: customTitle || slug || fileInfo.sessionId.slice(0, 8),
-    isRenamed: !!customTitle,
-    cwd,
-    startTime,
-    firstUserMessage: stripTags(firstUserMessage).slice(0, 300),
-  };
+  function finish() {
+    return {
+      sessionId: fileInfo.sessionId,
+      projectDir: fileInfo.projectDir,
+      projectName: extractProjectName(cwd, fileInfo.projectDir),
+      slug: customTitle || slug || fileInfo.sessionId.slice(0, 8),
+      isRenamed: !!customTitle,
+      resumedFrom,
+      cwd,
+      startTime,
+      firstUserMessage: stripTags(firstUserMessage).slice(0, 300),
+    };
+  }
+
+  return { add, finish };
 }
 
 // ─── Session Timeline ────────────────────────────────────────────────────────
 
+/**
+ * @param {object[]} parsedLines transcript entries, e.g. from parseJSONLFile()
+ * @returns {TimelineEntry[]}
+ */
 function buildSessionTimeline(parsedLines) {
+  const collector = createTimelineCollector();
+  parsedLines.forEach((entry, i) => collector.add(entry, i));
+  return collector.finish();
+}
+
+function createTimelineCollector({ inThread = false, includeThinking = false } = {}) {
   const timeline = [];
-  for (let i = 0; i < parsedLines.length; i++) {
-    const entry = parsedLines[i];
-    if (!entry.message || !entry.timestamp) continue;
+  const taskEntries = new Map(); // toolUseId → tool_use entry of a subagent call
+  const toolEntries = new Map(); // toolUseId → tool_use entry, to attach its result
+  const threads = new Map(); // thread key → { entry, collector }
+  let currentThreadKey = null;
+
+  // Entries form a tree through uuid/parentUuid. Rewinding or editing a prompt
+  // starts a sibling branch, so file order interleaves abandoned work with the
+  // live conversation. Each node keeps the timeline items it produced.
+  const nodes = []; // { index, parent, children, items } in file order
+  const nodesByUuid = new Map();
+  // Every root hangs off this, so editing the first prompt forks here too
+  const rootNode = { index: -1, parent: null, children: [], items: [] };
+  const looseItems = []; // items seen before the first entry with a uuid
+  let currentNode = null;
+  let hasForks = false;
+
+  function push(item) {
+    timeline.push(item);
+    (currentNode ? currentNode.items : looseItems).push(item);
+  }
+
+  function trackNode(entry, i) {
+    const existing = nodesByUuid.get(entry.uuid);
+    if (existing) {
+      currentNode = existing;
+      return;
+    }
+    // After a compaction the chain continues through logicalParentUuid; an
+    // unknown parent attaches to the previous entry so the tree stays connected.
+    // An explicit null parent is a new root (e.g. an edited first prompt).
+    const parentUuid = entry.parentUuid || entry.logicalParentUuid;
+    const parent = parentUuid
+      ? nodesByUuid.get(parentUuid) || currentNode || rootNode
+      : entry.parentUuid === null ? rootNode : currentNode || rootNode;
+    const node = { index: i, parent, children: [], items: [] };
+    parent.children.push(node);
+    if (parent.children.length > 1) hasForks = true;
+    nodes.push(node);
+    nodesByUuid.set(entry.uuid, node);
+    currentNode = node;
+  }
+
+  function addSidechainEntry(entry, i) {
+    // Older versions wrote subagent turns into the session file itself. A root
+    // entry (no parentUuid) starts a new thread unless an agentId ties it to one.
+    let key = entry.agentId;
+    if (!key) key = (!entry.parentUuid || !currentThreadKey) ? `sidechain-${i}` : currentThreadKey;
+    currentThreadKey = key;
+    let thread = threads.get(key);
+    if (!thread) {
+      thread = {
+        entry: { type: 'subagent', timestamp: entry.timestamp, agentId: entry.agentId || '', description: '', subagentType: '', timeline: [] },
+        collector: createTimelineCollector({ inThread: true, includeThinking }),
+      };
+      threads.set(key, thread);
+      push(thread.entry);
+    }
+    thread.collector.add(entry, i);
+  }
+
+  function add(entry, i) {
+    if (entry.uuid && !(entry.isSidechain && !inThread)) trackNode(entry, i);
+    if (!entry.message || !entry.timestamp) return;
+    if (entry.isSidechain && !inThread) {
+      addSidechainEntry(entry, i);
+      return;
+    }
 
     // Skip file-history-snapshot entries
-    if (entry.type === 'file-history-snapshot') continue;
+    if (entry.type === 'file-history-snapshot') return;
 
     const role = entry.type; // 'user' or 'assistant'
     const content = entry.message.content;
 
     if (role === 'assistant') {
-      if (!Array.isArray(content)) continue;
+      if (!Array.isArray(content)) return;
       for (const block of content) {
-        if (block.type === 'thinking') continue; // skip thinking blocks
+        if (block.type === 'thinking') {
+          // Only with --include-thinking; the viewer keeps them collapsed
+          if (includeThinking && block.thinking?.trim()) {
+            push({
+              type: 'thinking',
+              timestamp: entry.timestamp,
+              content: block.thinking.trim(),
+              lineIndex: i,
+            });
+          }
+          continue;
+        }
         if (block.type === 'text' && block.text?.trim()) {
           const cleaned = stripTags(block.text);
           if (cleaned.length < 3) continue; // skip empty/trivial
-          timeline.push({
+          push({
             type: 'assistant_text',
             timestamp: entry.timestamp,
             content: cleaned,
@@ -232,7 +885,7 @@ function buildSessionTimeline(parsedLines) {
           });
         } else if (block.type === 'tool_use') {
           if (block.name === 'AskUserQuestion') {
-            timeline.push({
+            push({
               type: 'ask_user_question',
               timestamp: entry.timestamp,
               toolUseId: block.id,
@@ -241,13 +894,24 @@ function buildSessionTimeline(parsedLines) {
             });
           } else {
             const snippet = summarizeToolInput(block);
-            timeline.push({
+            const toolEntry = {
               type: 'tool_use',
               timestamp: entry.timestamp,
               toolName: block.name,
+              toolUseId: block.id,
               content: snippet,
               lineIndex: i,
-            });
+            };
+            if (SUBAGENT_TOOL_NAMES.has(block.name)) {
+              toolEntry.content = block.input?.description || snippet;
+              toolEntry.description = block.input?.description || '';
+              toolEntry.subagentType = block.input?.subagent_type || '';
+              taskEntries.set(block.id, toolEntry);
+            }
+            const edits = describeEdits(block);
+            if (edits) toolEntry.edits = edits;
+            toolEntries.set(block.id, toolEntry);
+            push(toolEntry);
           }
         }
       }
@@ -255,7 +919,7 @@ function buildSessionTimeline(parsedLines) {
       if (typeof content === 'string') {
         const cleaned = stripTags(content);
         if (cleaned.length >= 3) {
-          timeline.push({
+          push({
             type: 'user_text',
             timestamp: entry.timestamp,
             content: cleaned,
@@ -269,16 +933,22 @@ function buildSessionTimeline(parsedLines) {
             // Skip system-injected text (system reminders, command tags, etc.)
             if (cleaned.length < 3) continue;
             if (/^(SessionStart|currentDate|Today|The following|As you answer)/i.test(cleaned)) continue;
-            timeline.push({
+            push({
               type: 'user_text',
               timestamp: entry.timestamp,
               content: cleaned,
               lineIndex: i,
             });
           } else if (block.type === 'tool_result') {
+            // Remember which subagent a Task call ran so its thread can be attached
+            const task = taskEntries.get(block.tool_use_id);
+            if (task && entry.toolUseResult?.agentId) task.agentId = entry.toolUseResult.agentId;
+            const tool = toolEntries.get(block.tool_use_id);
+            if (tool) tool.result = summarizeToolResult(block, entry.toolUseResult, tool.toolName);
+
             // Only keep AskUserQuestion responses; skip all other tool results (noise)
             if (entry.toolUseResult) {
-              timeline.push({
+              push({
                 type: 'user_answer',
                 timestamp: entry.timestamp,
                 toolUseId: block.tool_use_id,
@@ -286,13 +956,102 @@ function buildSessionTimeline(parsedLines) {
                 lineIndex: i,
               });
             }
-            // tool_result entries (Bash output, file reads, etc.) are omitted — they're noise
+            // Other tool output stays on its tool_use entry and is shown on demand
           }
         }
       }
     }
   }
-  return timeline;
+
+  function finish() {
+    for (const thread of threads.values()) {
+      thread.entry.timeline = thread.collector.finish();
+    }
+    if (!hasForks) return timeline.filter(keepItem);
+    // The last entry written ends the live branch
+    return looseItems.filter(keepItem).concat(linearizeBranch(rootNode, nodes[nodes.length - 1]));
+  }
+
+  return { add, finish };
+}
+
+function keepItem(item) {
+  return item.type !== 'subagent' || item.timeline.length > 0;
+}
+
+function linearizeBranch(root, leaf) {
+  // Emit the root → leaf path in order; every other child of a node on the
+  // path is an abandoned branch, nested as a fork right after that node
+  const branchPath = [];
+  for (let node = leaf; node !== root.parent; node = node.parent) branchPath.push(node);
+  branchPath.reverse();
+
+  const items = [];
+  branchPath.forEach((node, k) => {
+    items.push(...node.items.filter(keepItem));
+    for (const child of node.children) {
+      if (child === branchPath[k + 1]) continue;
+      const fork = linearizeBranch(child, latestDescendant(child));
+      if (fork.length > 0) items.push({ type: 'fork', timestamp: fork[0].timestamp, timeline: fork });
+    }
+  });
+  return items;
+}
+
+function latestDescendant(node) {
+  // Iterative: conversation chains can be thousands of entries deep
+  let latest = node;
+  const stack = [node];
+  while (stack.length) {
+    const current = stack.pop();
+    if (current.index > latest.index) latest = current;
+    stack.push(...current.children);
+  }
+  return latest;
+}
+
+function describeEdits(block) {
+  // Old → new text per change, rendered client-side as a diff
+  const input = block.input || {};
+  let edits = null;
+  if (block.name === 'Edit') edits = [{ oldString: input.old_string, newString: input.new_string }];
+  else if (block.name === 'MultiEdit' && Array.isArray(input.edits)) edits = input.edits.map(e => ({ oldString: e.old_string, newString: e.new_string }));
+  else if (block.name === 'Write') edits = [{ oldString: '', newString: input.content }];
+  if (!edits) return null;
+  return edits.map(e => ({ oldString: capText(e.oldString), newString: capText(e.newString) }));
+}
+
+function summarizeToolResult(block, toolUseResult, toolName) {
+  const text = toolResultText(block.content);
+  const result = { isError: !!block.is_error };
+  if (toolName === 'Bash') {
+    // Failed commands report "Exit code N" in the result text; successful ones don't
+    const exit = /^(?:Error: )?Exit code (\d+)/.exec(text);
+    result.exitCode = exit ? Number(exit[1]) : (block.is_error ? null : 0);
+    if (toolUseResult && typeof toolUseResult === 'object') {
+      result.stdout = capText(toolUseResult.stdout);
+      result.stderr = capText(toolUseResult.stderr);
+      result.interrupted = !!toolUseResult.interrupted;
+    } else {
+      result.stdout = '';
+      result.stderr = capText(exit ? text.slice(exit[0].length).replace(/^\n/, '') : text);
+    }
+    return result;
+  }
+  result.text = capText(text);
+  return result;
+}
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(part => part.type === 'text' ? part.text || '' : `[${part.type}]`).join('\n');
+}
+
+function capText(value) {
+  const text = typeof value === 'string' ? value : '';
+  if (text.length <= TOOL_OUTPUT_MAX_CHARS) return text;
+  return text.slice(0, TOOL_OUTPUT_MAX_CHARS) + `\n… ${text.length - TOOL_OUTPUT_MAX_CHARS} more characters`;
 }
 
 function summarizeToolInput(block) {
@@ -307,8 +1066,234 @@ function summarizeToolInput(block) {
   return JSON.stringify(input).slice(0, 120);
 }
 
+// ─── Index Cache ─────────────────────────────────────────────────────────────
+// Extracted sessions are cached on disk so unchanged transcripts are not
+// reparsed. A manifest maps each transcript path to its mtime, size and a
+// per-session data file; only the data files a run needs are read.
+
+function openIndexCache({ rebuild = false, variant = '' } = {}) {
+  const manifestPath = path.join(CACHE_DIR, 'manifest.json');
+  const dataDir = path.join(CACHE_DIR, 'sessions');
+  let entries = {};
+  let dirty = false;
+  const counts = { hits: 0, misses: 0 };
+
+  if (!rebuild) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      if (manifest.version === CACHE_VERSION) {
+        entries = manifest.entries || {};
+      } else {
+        dirty = true;
+      }
+    } catch (e) {
+      // missing or corrupt manifest: start empty
+    }
+  } else {
+    dirty = true;
+  }
+
+  // Extraction options that change the output (e.g. thinking) get their own entries
+  const keyFor = (fileInfo) => variant ? `${fileInfo.filePath}?${variant}` : fileInfo.filePath;
+
+  function get(fileInfo, stat) {
+    const cached = entries[keyFor(fileInfo)];
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(dataDir, cached.dataFile), 'utf-8'));
+        counts.hits++;
+        return data;
+      } catch (e) {
+        // data file missing or unreadable: fall through and reparse
+      }
+    }
+    counts.misses++;
+    return null;
+  }
+
+  function set(fileInfo, stat, result) {
+    const key = keyFor(fileInfo);
+    const dataFile = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16) + '.json';
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      writeFileAtomic(path.join(dataDir, dataFile), JSON.stringify(result));
+      entries[key] = { filePath: fileInfo.filePath, mtimeMs: stat.mtimeMs, size: stat.size, dataFile };
+      dirty = true;
+    } catch (e) {
+      warn(`   Could not cache ${fileInfo.sessionId}: ${e.message}`);
+    }
+  }
+
+  function save() {
+    if (!dirty) return;
+    try {
+      // Drop entries whose transcript is gone, then any unreferenced data files
+      for (const [key, entry] of Object.entries(entries)) {
+        if (!fs.existsSync(entry.filePath || key)) delete entries[key];
+      }
+      fs.mkdirSync(dataDir, { recursive: true });
+      writeFileAtomic(manifestPath, JSON.stringify({ version: CACHE_VERSION, entries }));
+      const referenced = new Set(Object.values(entries).map(e => e.dataFile));
+      for (const name of fs.readdirSync(dataDir)) {
+        if (!referenced.has(name)) fs.rmSync(path.join(dataDir, name), { force: true });
+      }
+    } catch (e) {
+      warn(`   Could not save index cache: ${e.message}`);
+    }
+  }
+
+  return { get, set, save, counts };
+}
+
+// Legacy agent-*.jsonl files name their parent session only inside, and
+// discovery needs that before the index cache is opened, so the mapping is
+// cached on its own, per agent file mtime and size. It stays in memory for
+// the rest of the process (--serve looks it up on every change).
+let agentParents = null;
+
+function lookupAgentParent(filePath, { rebuild = false } = {}) {
+  if (!agentParents) agentParents = { entries: rebuild ? {} : readAgentParentCache(), dirty: rebuild };
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    return '';
+  }
+  const cached = agentParents.entries[filePath];
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.parentId;
+  const parentId = readFirstField(filePath, 'sessionId');
+  agentParents.entries[filePath] = { mtimeMs: stat.mtimeMs, size: stat.size, parentId };
+  agentParents.dirty = true;
+  return parentId;
+}
+
+function readAgentParentCache() {
+  try {
+    const cache = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, 'agent-parents.json'), 'utf-8'));
+    if (cache.version === CACHE_VERSION) return cache.entries || {};
+  } catch (e) {
+    // missing or corrupt: read the agent files again
+  }
+  return {};
+}
+
+function saveAgentParentCache() {
+  if (!agentParents || !agentParents.dirty) return;
+  try {
+    for (const filePath of Object.keys(agentParents.entries)) {
+      if (!fs.existsSync(filePath)) delete agentParents.entries[filePath];
+    }
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    writeFileAtomic(path.join(CACHE_DIR, 'agent-parents.json'), JSON.stringify({ version: CACHE_VERSION, entries: agentParents.entries }));
+    agentParents.dirty = false;
+  } catch (e) {
+    warn(`   Could not save agent parent cache: ${e.message}`);
+  }
+}
+
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, content, 'utf-8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+// ─── Redaction ───────────────────────────────────────────────────────────────
+// --redact rewrites every string that can reach the output. It runs after the
+// index cache, so cached data stays raw and patterns can change without a rebuild.
+
+const REDACTION_DETECTORS = [
+  { kind: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { kind: 'api-key', pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|[rs]k_(?:live|test)_[A-Za-z0-9]{16,}|AIza[0-9A-Za-z_-]{35})/g },
+  { kind: 'token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abposr]-[A-Za-z0-9-]{10,}|eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})|(?<=\bBearer\s+)[A-Za-z0-9._~+\/-]{20,}=*/g },
+  { kind: 'aws-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  // .env-style lines, then credential-looking assignments anywhere (KEY=…, "apiKey": "…")
+  { kind: 'env', keepPrefix: true, pattern: /^(\s*(?:export\s+)?[A-Z][A-Z0-9_]*=)(?!\[REDACTED)("[^"\n]*"|'[^'\n]*'|\S+)/gm },
+  { kind: 'env', keepPrefix: true, pattern: /\b([\w-]*(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|credentials?)[\w-]*["']?\s*[:=]\s*)(?!\[REDACTED)("[^"\n]+"|'[^'\n]+'|[^\s,;'"]+)/gi },
+  { kind: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+];
+// Identifiers and timestamps the viewer joins on are never rewritten
+const REDACTION_SKIP_KEYS = new Set(['type', 'timestamp', 'askTimestamp', 'answerTimestamp', 'toolUseId', 'sessionId', 'agentId', 'resumedFrom', 'projectDir', 'toolName', 'filePath']);
+
+function createRedactor(patternFile) {
+  const detectors = [...REDACTION_DETECTORS];
+  const home = os.homedir();
+  if (home && home !== path.sep) {
+    detectors.push({ kind: 'home', replacement: '~', pattern: new RegExp(escapeRegExp(home) + '(?![\\w.-])', 'g') });
+  }
+  if (patternFile) detectors.push(...readRedactionPatterns(patternFile));
+
+  return function redact(text, counts) {
+    let out = text;
+    for (const detector of detectors) {
+      out = out.replace(detector.pattern, (match, ...groups) => {
+        if (!match) return match;
+        counts[detector.kind] = (counts[detector.kind] || 0) + 1;
+        if (detector.replacement) return detector.replacement;
+        return (detector.keepPrefix ? groups[0] : '') + `[REDACTED:${detector.kind}]`;
+      });
+    }
+    return out;
+  };
+}
+
+function readRedactionPatterns(patternFile) {
+  // One regex per line, either bare or as /source/flags; # starts a comment
+  let text;
+  try {
+    text = fs.readFileSync(patternFile, 'utf-8');
+  } catch (e) {
+    throw new Error(`Cannot read --redact-patterns file: ${e.message}`);
+  }
+  const detectors = [];
+  text.split('\n').forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(trimmed);
+    try {
+      const flags = literal ? literal[2].replace('g', '') + 'g' : 'g';
+      detectors.push({ kind: 'custom', pattern: new RegExp(literal ? literal[1] : trimmed, flags) });
+    } catch (e) {
+      throw new Error(`Invalid pattern on line ${i + 1} of ${patternFile}: ${e.message}`);
+    }
+  });
+  return detectors;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function redactSession(session, redact) {
+  const counts = {};
+  const walk = (value, key) => {
+    if (typeof value === 'string') return REDACTION_SKIP_KEYS.has(key) ? value : redact(value, counts);
+    if (Array.isArray(value)) return value.map(item => walk(item, key));
+    if (!value || typeof value !== 'object') return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      // Answers are keyed by question text, which must be rewritten the same way
+      out[key === 'answers' ? redact(k, {}) : k] = walk(v, k);
+    }
+    return out;
+  };
+  session.meta = walk(session.meta, 'meta');
+  session.qaPairs = walk(session.qaPairs, 'qaPairs');
+  session.timeline = walk(session.timeline, 'timeline');
+  session.redactions = counts;
+  return session;
+}
+
+function countRedactions(redactions) {
+  return Object.values(redactions || {}).reduce((sum, n) => sum + n, 0);
+}
+
 // ─── Data Transformation ─────────────────────────────────────────────────────
 
+/**
+ * Group sessions with Q&A by project, newest first, with totals for the header.
+ * @param {Session[]} allSessions
+ * @returns {ViewModel}
+ */
 function buildViewModel(allSessions) {
   const withQA = allSessions.filter(s => s.qaPairs.length > 0);
   const totalSessions = allSessions.length;
@@ -334,53 +1319,471 @@ function buildViewModel(allSessions) {
     totalQA,
     grouped,
     sessions: withQA,
+    // null unless --redact ran
+    redactionTotal: allSessions.some(s => s.redactions) ? allSessions.reduce((sum, s) => sum + countRedactions(s.redactions), 0) : null,
   };
 }
 
-// ─── HTML Generation ─────────────────────────────────────────────────────────
+// ─── Markdown Export ─────────────────────────────────────────────────────────
+// renderQAMarkdown and escapeMarkdownInline are also embedded in the page
+// (via toString) for the "Export Markdown" buttons, so they must only rely on
+// each other and take the same session shape as SESSION_DATA.
 
-function generateHTML(viewModel) {
-  return `<!DOCTYPE html>
-<html lang="en" class="">
-<head>
-<meta charset="utf-8"/>
-<meta content="width=device-width, initial-scale=1.0" name="viewport"/>
-<title>Claude Code Q&A - A Retrospective</title>
-<link href="https://fonts.googleapis.com" rel="preconnect"/>
-<link crossorigin="" href="https://fonts.gstatic.com" rel="preconnect"/>
-<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&family=JetBrains+Mono:wght@400;500;700&family=Newsreader:ital,opsz,wght@0,6..72,400;0,6..72,500;0,6..72,600;1,6..72,400;1,6..72,500&display=swap" rel="stylesheet"/>
-<link href="https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined:wght,FILL@100..700,0..1&display=swap" rel="stylesheet"/>
-<script src="https://cdn.tailwindcss.com?plugins=forms,container-queries"></script>
-<script>
-tailwind.config = {
-  darkMode: "class",
-  theme: {
-    extend: {
-      colors: {
-        "primary": "#D97706",
-        "ink": "#2C2C2C",
-        "paper": "#F9F8F4",
-        "slate-log": "#5F6B7C",
-        "amber-light": "#FDE68A",
-        "border-subtle": "#E5E2D9",
-        "surface": "#FFFFFF",
-      },
-      fontFamily: {
-        "serif": ["Newsreader", "serif"],
-        "mono": ["JetBrains Mono", "monospace"],
-        "sans": ["Inter", "sans-serif"],
-      },
-      borderRadius: {
-        "sm": "2px",
-        "md": "4px",
-      },
-      boxShadow: {
-        'paper': '0 20px 40px rgba(0,0,0,0.05)',
+function escapeMarkdownInline(text) {
+  // Literal text on one line: whitespace collapsed, Markdown syntax escaped
+  return String(text || '').replace(/\s+/g, ' ').trim().replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+function renderQAMarkdown(sessions, exportedAt) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (ts) => {
+    if (!ts) return '';
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  };
+  // Keep user text on one line and stop it from being read as markup
+  const inline = escapeMarkdownInline;
+  const quote = (text) => String(text || '').trim().split('\n').map(line => '> ' + line).join('\n');
+
+  const projects = new Map();
+  for (const session of sessions) {
+    if (!projects.has(session.projectName)) projects.set(session.projectName, []);
+    projects.get(session.projectName).push(session);
+  }
+  const qaTotal = sessions.reduce((sum, s) => sum + s.qaPairs.length, 0);
+
+  const out = [];
+  out.push('# Claude Code Q&A history', '');
+  out.push(`_Exported ${stamp(exportedAt)} · ${sessions.length} session${sessions.length === 1 ? '' : 's'} · ${qaTotal} Q&A_`, '');
+
+  for (const [projectName, projectSessions] of projects) {
+    out.push(`## ${inline(projectName)}`, '');
+    for (const session of projectSessions) {
+      out.push(`### ${inline(session.slug)}`, '');
+      out.push(`- **Session:** \`${session.id}\``);
+      out.push(`- **Started:** ${stamp(session.startTime)}`);
+      if (session.cwd) out.push(`- **Directory:** \`${session.cwd}\``);
+      if (session.redactions) {
+        const kinds = Object.entries(session.redactions);
+        out.push(`- **Redactions:** ${kinds.reduce((sum, [, n]) => sum + n, 0)}${kinds.length ? ' (' + kinds.map(([kind, n]) => `${kind} ${n}`).join(', ') + ')' : ''}`);
       }
-    },
-  },
+      out.push('');
+
+      for (const pair of session.qaPairs) {
+        pair.questions.forEach((question, questionIndex) => {
+          const answerText = pair.answers[question.question] || '';
+          const options = question.options || [];
+          const { selectedOptions, customAnswer } = pair.selections[questionIndex];
+
+          out.push(`#### ${inline(question.question)}`, '');
+          const details = [];
+          if (question.header) details.push(`\`${question.header}\``);
+          if (question.multiSelect) details.push('multi-select');
+          if (pair.askTimestamp) details.push(`asked ${stamp(pair.askTimestamp)}`);
+          if (pair.answerTimestamp) details.push(`answered ${stamp(pair.answerTimestamp)}`);
+          if (details.length) out.push(details.join(' · '), '');
+
+          if (options.length > 0) {
+            for (const opt of options) {
+              const isSelected = selectedOptions.includes(opt.label);
+              const label = isSelected ? `**${inline(opt.label)}**` : inline(opt.label);
+              out.push(`- [${isSelected ? 'x' : ' '}] ${label}${opt.description ? ' — ' + inline(opt.description) : ''}`);
+            }
+            if (customAnswer) out.push(`- [x] **Other:** ${inline(customAnswer)}`);
+            out.push('');
+          }
+
+          const isCustomResponse = options.length > 0 && selectedOptions.length === 0 && !!customAnswer;
+          out.push(isCustomResponse ? '**Answer** _(custom response)_:' : '**Answer:**');
+          out.push(answerText ? quote(answerText) : '> _(no answer recorded)_', '');
+        });
+      }
+    }
+  }
+
+  return out.join('\n').trimEnd() + '\n';
 }
-</script>
+
+// ─── Data Export ─────────────────────────────────────────────────────────────
+// One flat record per question for --format json|jsonl|csv. The field list
+// is a public contract (see README): add fields at the end, never rename or
+// remove them without bumping QA_RECORD_SCHEMA_VERSION.
+
+const QA_RECORD_SCHEMA_VERSION = 1;
+const QA_RECORD_FIELDS = [
+  'schemaVersion',
+  'sessionId',
+  'sessionName',
+  'project',
+  'cwd',
+  'toolUseId',
+  'questionIndex',
+  'askedAt',
+  'answeredAt',
+  'header',
+  'question',
+  'multiSelect',
+  'options',
+  'selectedOptions',
+  'answer',
+  'isCustomAnswer',
+  'customAnswer',
+];
+
+function buildQARecords(sessions) {
+  const records = [];
+  for (const session of sessions) {
+    for (const pair of session.qaPairs) {
+      pair.questions.forEach((question, questionIndex) => {
+        const answer = pair.answers[question.question] || '';
+        const options = (question.options || []).map(opt => opt.label);
+        const { selectedOptions, customAnswer } = pair.selections[questionIndex];
+        records.push({
+          schemaVersion: QA_RECORD_SCHEMA_VERSION,
+          sessionId: session.meta.sessionId,
+          sessionName: session.meta.slug,
+          project: session.meta.projectName,
+          cwd: session.meta.cwd,
+          toolUseId: pair.toolUseId,
+          questionIndex,
+          askedAt: pair.askTimestamp || '',
+          answeredAt: pair.answerTimestamp || '',
+          header: question.header || '',
+          question: question.question,
+          multiSelect: !!question.multiSelect,
+          options,
+          selectedOptions,
+          answer,
+          // Schema v1 meaning: options were offered and none was picked
+          isCustomAnswer: options.length > 0 && selectedOptions.length === 0,
+          customAnswer,
+        });
+      });
+    }
+  }
+  // Chronological, with a stable tiebreak, so repeated exports diff cleanly
+  records.sort((a, b) => a.askedAt.localeCompare(b.askedAt)
+    || a.sessionId.localeCompare(b.sessionId)
+    || a.questionIndex - b.questionIndex);
+  return records;
+}
+
+function formatQARecords(records, format) {
+  if (format === 'json') return JSON.stringify(records, null, 2) + '\n';
+  if (format === 'jsonl') return records.map(r => JSON.stringify(r) + '\n').join('');
+  // CSV (RFC 4180 quoting); list fields are JSON arrays so labels may contain any character
+  const rows = [QA_RECORD_FIELDS.join(',')];
+  for (const record of records) {
+    rows.push(QA_RECORD_FIELDS.map(field => {
+      const value = record[field];
+      return toCSVField(Array.isArray(value) ? JSON.stringify(value) : String(value));
+    }).join(','));
+  }
+  return rows.join('\n') + '\n';
+}
+
+function toCSVField(value) {
+  return /[",\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+// ─── Recurring Questions ─────────────────────────────────────────────────────
+// Groups similar questions across sessions by TF-IDF cosine similarity, all
+// local. clusterQuestions is embedded in the page (via toString) for the
+// Recurring view, so it must stay self-contained and take the same session
+// shape as SESSION_DATA.
+
+/**
+ * @param {object[]} sessions client-shaped, e.g. sessions.map(toClientSession)
+ * @param {{threshold?: number, minSessions?: number}} [options] cosine similarity to join a cluster; sessions it must span
+ * @returns {QuestionCluster[]} clusters spanning at least minSessions sessions, widest first
+ */
+function clusterQuestions(sessions, { threshold = 0.45, minSessions = 2 } = {}) {
+  const STOPWORDS = new Set(('a an and are as at be but by can could did do does for from had has have how i if in into is it its '
+    + 'me my of on or our shall should so than that the their them then there these this those to us use using was we were '
+    + 'what when where which who why will with would you your want like prefer go ok okay').split(' '));
+  const terms = (text, weight, into) => {
+    for (let word of String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []) {
+      if (STOPWORDS.has(word)) continue;
+      // Light stemming so "tests"/"test" and "added"/"add" meet
+      if (word.length > 4 && word.endsWith('ing')) word = word.slice(0, -3);
+      else if (word.length > 3 && word.endsWith('ed')) word = word.slice(0, -2);
+      else if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) word = word.slice(0, -1);
+      into.set(word, Math.max(into.get(word) || 0, weight));
+    }
+    return into;
+  };
+  const answerKey = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+  // One item per question; option labels count for less than the wording
+  const items = [];
+  for (const session of sessions) {
+    for (const pair of session.qaPairs) {
+      pair.questions.forEach((question, questionIndex) => {
+        const tf = new Map();
+        for (const opt of question.options || []) terms(opt.label, 0.5, tf);
+        terms(question.header, 1, tf);
+        terms(question.question, 1, tf);
+        if (!tf.size) return;
+        const { selectedOptions, customAnswer } = pair.selections[questionIndex];
+        const answer = [...selectedOptions, customAnswer].filter(Boolean).join(' + ')
+          || String(pair.answers[question.question] || '').trim();
+        items.push({
+          session, pair, question, questionIndex, tf, answer,
+          askedAt: pair.askTimestamp || session.startTime || '',
+        });
+      });
+    }
+  }
+  items.sort((a, b) => a.askedAt.localeCompare(b.askedAt));
+
+  const df = new Map();
+  for (const item of items) for (const term of item.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  for (const item of items) {
+    item.vec = new Map();
+    let norm = 0;
+    for (const [term, weight] of item.tf) {
+      const value = weight * Math.log(1 + items.length / df.get(term));
+      item.vec.set(term, value);
+      norm += value * value;
+    }
+    norm = Math.sqrt(norm);
+    for (const [term, value] of item.vec) item.vec.set(term, value / norm);
+  }
+
+  // Single pass, oldest first: join the closest cluster centroid above the
+  // threshold or start a new one. Postings keep the comparison sparse.
+  const clusters = [];
+  const postings = new Map();
+  for (const item of items) {
+    const scores = new Map();
+    for (const [term, value] of item.vec) {
+      for (const cluster of postings.get(term) || []) {
+        scores.set(cluster, (scores.get(cluster) || 0) + value * cluster.centroid.get(term));
+      }
+    }
+    let best = null;
+    let bestScore = threshold;
+    for (const [cluster, dot] of scores) {
+      const score = dot / Math.sqrt(cluster.norm2);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+    if (!best) {
+      best = { centroid: new Map(), norm2: 0, items: [] };
+      clusters.push(best);
+    }
+    best.items.push(item);
+    for (const [term, value] of item.vec) {
+      const old = best.centroid.get(term) || 0;
+      if (!old) {
+        if (postings.has(term)) postings.get(term).push(best);
+        else postings.set(term, [best]);
+      }
+      best.centroid.set(term, old + value);
+      best.norm2 += (old + value) ** 2 - old ** 2;
+    }
+  }
+
+  const results = [];
+  for (const cluster of clusters) {
+    const sessionIds = new Set(cluster.items.map(item => item.session.id));
+    if (sessionIds.size < minSessions) continue;
+
+    // Most frequent wording labels the cluster; ties go to the newer one
+    const wordings = new Map();
+    for (const item of cluster.items) wordings.set(item.question.question, (wordings.get(item.question.question) || 0) + 1);
+    const question = [...wordings].reduce((best, entry) => (entry[1] >= best[1] ? entry : best))[0];
+
+    const answers = new Map();
+    for (const item of cluster.items) {
+      if (!item.answer) continue;
+      const key = answerKey(item.answer);
+      const entry = answers.get(key) || { answer: item.answer, count: 0 };
+      entry.count++;
+      answers.set(key, entry);
+    }
+    const ranked = [...answers.values()].sort((a, b) => b.count - a.count);
+    const answered = ranked.reduce((sum, entry) => sum + entry.count, 0);
+
+    results.push({
+      question,
+      count: cluster.items.length,
+      sessionCount: sessionIds.size,
+      projects: [...new Set(cluster.items.map(item => item.session.projectName))],
+      options: [...new Set(cluster.items.flatMap(item => (item.question.options || []).map(opt => opt.label)))],
+      answers: ranked,
+      answered,
+      // Share of answered occurrences that gave the most common answer
+      consistency: answered ? ranked[0].count / answered : 0,
+      alwaysSame: answered >= 2 && ranked.length === 1,
+      occurrences: cluster.items.map(item => ({
+        sessionId: item.session.id,
+        sessionName: item.session.slug,
+        project: item.session.projectName,
+        toolUseId: item.pair.toolUseId,
+        questionIndex: item.questionIndex,
+        question: item.question.question,
+        answer: item.answer,
+        askedAt: item.askedAt,
+      })).reverse(),
+    });
+  }
+  return results.sort((a, b) => b.sessionCount - a.sessionCount || b.count - a.count || b.consistency - a.consistency);
+}
+
+// ─── Instruction Suggestions ─────────────────────────────────────────────────
+// --suggest-instructions drafts CLAUDE.md rules from questions answered the
+// same way in several sessions of one working directory. The draft is only
+// ever printed or written where --out points; adopting it is left to you.
+
+function buildInstructionSuggestions(sessions) {
+  const byCwd = new Map();
+  for (const session of sessions) {
+    if (!byCwd.has(session.cwd)) byCwd.set(session.cwd, []);
+    byCwd.get(session.cwd).push(session);
+  }
+  const projects = [];
+  for (const [cwd, cwdSessions] of byCwd) {
+    const rules = clusterQuestions(cwdSessions)
+      .filter(cluster => cluster.alwaysSame)
+      .map(cluster => ({ text: draftInstruction(cluster), cluster }));
+    if (rules.length) projects.push({ cwd, project: cwdSessions[0].projectName, rules });
+  }
+  return projects.sort((a, b) => a.cwd.localeCompare(b.cwd));
+}
+
+function draftInstruction(cluster, { literal = (text) => text, quote = (text) => `"${text}"` } = {}) {
+  // "Use X, not Y" when an option was picked; otherwise restate the answer.
+  // literal and quote format the values, so Markdown output can escape them
+  const clean = (label) => literal(label.replace(/\s*\(recommended\)$/i, ''));
+  const answer = cluster.answers[0].answer;
+  const picked = cluster.options.find(label => label.toLowerCase() === answer.toLowerCase());
+  const isYesNo = (label) => /^(yes|no)\b/i.test(label);
+  if (picked && !isYesNo(picked)) {
+    const alternatives = cluster.options.filter(label => label !== picked && !isYesNo(label)).slice(0, 3).map(clean);
+    return `Use ${clean(picked)}` + (alternatives.length ? `, not ${alternatives.join(' or ')}` : '') + '.';
+  }
+  return `Don't ask ${quote(cluster.question)}: the answer is ${quote(answer)}.`;
+}
+
+function renderInstructionSuggestions(suggestions, generatedAt) {
+  let md = '# Suggested project instructions\n\n';
+  md += `Drafted on ${generatedAt.slice(0, 10)} from your Q&A history by \`visualize-qa.js --suggest-instructions\`. `
+    + 'Each rule comes from a question you answered the same way in several sessions, which are cited below it. '
+    + 'Review and edit before copying anything into a CLAUDE.md.\n';
+  if (!suggestions.length) {
+    return md + '\nNo question has been answered the same way in two or more sessions of one project yet.\n';
+  }
+  // Everything from transcripts is escaped onto one line, so it can't end
+  // the list or start a heading once pasted into CLAUDE.md
+  const inline = escapeMarkdownInline;
+  const quoted = (text) => '"' + inline(text).replace(/"/g, '\\"') + '"';
+  for (const { cwd, project, rules } of suggestions) {
+    md += `\n## ${inline(project)} (${inline(cwd)})\n\n`;
+    for (const { cluster } of rules) {
+      const wordings = [...new Set(cluster.occurrences.map(item => item.question))];
+      md += `- ${draftInstruction(cluster, { literal: inline, quote: quoted })}\n`;
+      md += `  - Asked ${cluster.count} times in ${cluster.sessionCount} sessions, always answered ${quoted(cluster.answers[0].answer)}: `
+        + wordings.map(quoted).join(', ') + '\n';
+      for (const item of cluster.occurrences) {
+        md += `    - Session ${inline(item.sessionId)} (${inline(item.sessionName)}) at ${inline(item.askedAt)}\n`;
+      }
+    }
+  }
+  return md;
+}
+
+// ─── Output Directory ────────────────────────────────────────────────────────
+// --out-dir splits the page so opening it doesn't depend on history size:
+// index.html holds list metadata and Q&A, sessions/<id>.js each timeline, and
+// sessions/search.js the conversation text that search needs. A manifest
+// records what was written, so reruns only replace and prune our own files.
+
+const OUT_DIR_MANIFEST = '.visualize-qa.json';
+
+function writeOutputDir(outDir, viewModel, options = {}) {
+  const previous = readOutDirManifest(outDir);
+  const sessionsDir = path.join(outDir, 'sessions');
+  fs.mkdirSync(sessionsDir, { recursive: true });
+  const sessions = options.session ? [options.session] : viewModel.sessions;
+  const written = new Set(['sessions/search.js']);
+  for (const session of sessions) {
+    const name = session.meta.sessionId + '.js';
+    fs.writeFileSync(path.join(sessionsDir, name), `qaSessionLoaded(${JSON.stringify(session.meta.sessionId)}, ${JSON.stringify(session.timeline)});\n`, 'utf-8');
+    written.add('sessions/' + name);
+  }
+  const searchText = {};
+  for (const session of sessions) searchText[session.meta.sessionId] = timelineSearchEntries(session.timeline);
+  fs.writeFileSync(path.join(sessionsDir, 'search.js'), `qaSearchLoaded(${JSON.stringify(searchText)});\n`, 'utf-8');
+  const indexPath = path.join(outDir, 'index.html');
+  fs.writeFileSync(indexPath, renderHTML(viewModel, { ...options, chunkBase: 'sessions/' }), 'utf-8');
+  written.add('index.html');
+
+  // Drop chunks of sessions that are no longer in scope from earlier runs
+  for (const name of previous) {
+    if (!written.has(name) && /^sessions\/[\w.-]+\.js$/.test(name)) fs.rmSync(path.join(outDir, name), { force: true });
+  }
+  writeFileAtomic(path.join(outDir, OUT_DIR_MANIFEST), JSON.stringify({ generator: 'visualize-qa', files: [...written].sort() }, null, 2) + '\n');
+  return indexPath;
+}
+
+function readOutDirManifest(outDir) {
+  // Files listed by an earlier run; refuses folders this tool didn't create
+  let entries;
+  try {
+    entries = fs.readdirSync(outDir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  if (entries.length === 0) return [];
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outDir, OUT_DIR_MANIFEST), 'utf-8'));
+    if (manifest.generator === 'visualize-qa' && Array.isArray(manifest.files)) return manifest.files;
+  } catch (e) {
+    // missing or corrupt manifest: treat it as someone else's folder
+  }
+  throw new Error(`${outDir} is not empty and was not written by --out-dir; choose a new or empty directory`);
+}
+
+function timelineSearchEntries(timeline, anchorPrefix = 't', entries = []) {
+  // [kind, anchor, text] per searchable entry; also embedded in the page, so
+  // anchors match the transcript's data-anchor attributes
+  timeline.forEach((entry, i) => {
+    if (entry.type === 'user_text' || entry.type === 'assistant_text') {
+      entries.push(['message', anchorPrefix + i, entry.content]);
+    } else if (entry.type === 'tool_use') {
+      entries.push(['tool', anchorPrefix + i, entry.toolName + ' ' + (entry.content || '')]);
+    } else if (entry.timeline) {
+      timelineSearchEntries(entry.timeline, anchorPrefix + i + '.', entries);
+    }
+  });
+  return entries;
+}
+
+// ─── HTML Generation ─────────────────────────────────────────────────────────
+
+/**
+ * Render the self-contained viewer page.
+ * @param {ViewModel} viewModel from buildViewModel()
+ * @param {RenderOptions} [options]
+ * @returns {string} HTML document
+ */
+function renderHTML(viewModel, options = {}) {
+  // options.session renders a standalone page for that one session's transcript;
+  // options.chunkBase leaves timelines out, to be loaded from <chunkBase><id>.js
+  const clientOptions = { timeline: !options.chunkBase };
+  const single = options.session ? toClientSession(options.session, clientOptions) : null;
+  const sessionData = single ? [single] : viewModel.sessions.map(s => toClientSession(s, clientOptions));
+  const html = `<!DOCTYPE html>
+<html lang="en" class="">
+<head>
+<meta charset="utf-8"/>
+<meta content="width=device-width, initial-scale=1.0" name="viewport"/>
+<title>${single ? escapeHTML(single.slug || single.id) + ' - Claude Code Q&A' : 'Claude Code Q&A - A Retrospective'}</title>
+${options.offline ? generateOfflineHead() : generateCDNHead()}
 <style>
 :root {
   --bg-page: #F9F8F4;
@@ -534,11 +1937,69 @@ body {
   color: var(--primary);
 }
 
+/* Rendered Markdown in conversation entries */
+.md-body > * + * { margin-top: 0.6em; }
+.md-body .md-heading { font-family: ${cssFontStack(FONT_STACKS.sans)}; font-weight: 600; color: var(--text-primary); }
+.md-body ul, .md-body ol { padding-left: 1.4em; }
+.md-body ul { list-style: disc; }
+.md-body ol { list-style: decimal; }
+.md-body blockquote { border-left: 2px solid var(--border); padding-left: 0.8em; color: var(--text-muted); }
+.md-body hr { border-top: 1px solid var(--border); }
+.md-body a { color: var(--primary); text-decoration: underline; }
+.md-inline-code {
+  font-family: ${cssFontStack(FONT_STACKS.mono)};
+  font-size: 0.85em;
+  padding: 0.1em 0.35em;
+  border-radius: 2px;
+  background: var(--bg-hover);
+  color: var(--text-primary);
+}
+.md-code { border: 1px solid var(--border); border-radius: 4px; overflow: hidden; }
+.md-code-bar { background: var(--bg-hover); color: var(--text-muted); }
+.md-code pre { margin: 0; padding: 10px 12px; overflow-x: auto; color: var(--text-primary); background: var(--bg-surface); }
+.md-table { overflow-x: auto; }
+.md-table table { border-collapse: collapse; font-size: 0.9em; }
+.md-table th, .md-table td { border: 1px solid var(--border); padding: 4px 10px; text-align: left; }
+.md-table th { background: var(--bg-hover); color: var(--text-primary); font-weight: 600; }
+.option-descriptions li { line-height: 1.5; }
+
+/* Thinking blocks (--include-thinking) */
+.thinking-body {
+  color: var(--text-muted);
+  font-style: italic;
+  border-left: 2px dotted var(--border);
+  padding-left: 12px;
+  max-height: 360px;
+  overflow-y: auto;
+}
+
 /* Tool pills (tier 3) */
 .tool-pill {
   transition: background 0.1s ease;
 }
 .tool-pill:hover { background: var(--bg-hover); }
+.tool-detail {
+  border-left: 1px solid var(--border);
+  background: var(--bg-surface);
+}
+.tool-detail-label { color: var(--text-muted); }
+.tool-output {
+  margin: 0;
+  padding: 8px 12px;
+  max-height: 320px;
+  overflow: auto;
+  white-space: pre-wrap;
+  word-break: break-word;
+  color: var(--text-secondary);
+}
+.tool-output + .tool-output { border-top: 1px solid var(--border); }
+.tool-output.stderr { color: #DC2626; }
+.tool-output.diff { white-space: pre; }
+.diff-line { display: block; }
+.diff-line.add { background: rgba(34, 197, 94, 0.14); }
+.diff-line.del { background: rgba(239, 68, 68, 0.14); }
+.tool-status-ok { color: #16A34A; }
+.tool-status-error { color: #DC2626; }
 
 .back-link {
   color: var(--text-secondary);
@@ -597,6 +2058,148 @@ body {
   to { opacity: 1; transform: translateY(0); }
 }
 .fade-in { animation: fadeIn 0.2s ease forwards; }
+
+/* Subagent threads and abandoned branches */
+.thread-summary {
+  list-style: none;
+  cursor: pointer;
+  color: var(--text-muted);
+  transition: background 0.1s ease;
+}
+.thread-summary::-webkit-details-marker { display: none; }
+.thread-summary:hover { background: var(--bg-hover); }
+.thread-chevron { transition: transform 0.15s ease; }
+.thread[open] > .thread-summary .thread-chevron { transform: rotate(90deg); }
+.thread-body { border-color: color-mix(in srgb, var(--primary) 30%, transparent); }
+.fork-branch > .thread-body { border-style: dashed; border-color: var(--text-muted); opacity: 0.85; }
+
+/* Search */
+.search-box { max-width: 320px; }
+.search-box .search-input {
+  width: 100%;
+  padding: 5px 10px 5px 30px;
+  border: 1px solid var(--border);
+  border-radius: 4px;
+  background: var(--bg-surface);
+  color: var(--text-primary);
+  outline: none;
+  box-shadow: none;
+}
+.search-box .search-input:focus { border-color: var(--primary); box-shadow: none; }
+.search-icon {
+  position: absolute;
+  left: 9px;
+  top: 50%;
+  transform: translateY(-50%);
+  color: var(--text-muted);
+  pointer-events: none;
+}
+.search-results {
+  position: absolute;
+  top: calc(100% + 10px);
+  left: 0;
+  width: min(560px, 90vw);
+  max-height: 70vh;
+  overflow-y: auto;
+  background: var(--bg-surface);
+  border: 1px solid var(--border);
+  border-radius: 4px;
+  box-shadow: 0 20px 40px rgba(0, 0, 0, 0.12);
+  z-index: 70;
+}
+.search-hit {
+  display: block;
+  padding: 10px 14px;
+  border-bottom: 1px solid var(--border);
+  color: var(--text-secondary);
+}
+.search-hit:last-child { border-bottom: none; }
+.search-hit:hover, .search-hit.active { background: var(--bg-hover); }
+.search-hit mark {
+  background: var(--amber-light);
+  color: #2C2C2C;
+  border-radius: 2px;
+  padding: 0 1px;
+}
+.search-target { animation: searchFlash 2.4s ease; }
+@keyframes searchFlash {
+  0%, 50% { box-shadow: 0 0 0 2px var(--primary); }
+  100% { box-shadow: 0 0 0 2px transparent; }
+}
+
+/* Stats dashboard */
+.stats-tiles {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+  gap: 12px;
+}
+.stats-tile, .stats-card {
+  background: var(--bg-surface);
+  border: 1px solid var(--border);
+}
+.stats-chart { display: block; overflow: visible; }
+.stats-row { border-bottom: 1px solid var(--border); transition: background 0.1s ease; }
+.stats-row:last-child { border-bottom: none; }
+.stats-row:hover { background: var(--bg-hover); }
+.stats-chart text { font-size: 11px; fill: var(--text-secondary); }
+.stats-chart a:hover rect { opacity: 0.8; }
+.stats-chart a:hover text { fill: var(--primary); }
+#session-groups { position: relative; }
+.list-row {
+  position: absolute;
+  left: 0;
+  right: 0;
+  padding-bottom: 12px;
+}
+.list-row .session-card { height: 100%; overflow: hidden; }
+.list-row-header { display: flex; align-items: flex-end; padding-bottom: 16px; }
+.project-chip-count { opacity: 0.6; }
+
+.heatmap-scroll { overflow-x: auto; }
+.heatmap { display: block; user-select: none; }
+.heatmap text { font-size: 9px; fill: var(--text-muted); }
+.heatmap-day { fill: var(--primary); cursor: pointer; }
+.heatmap-day.empty { fill: var(--bg-hover); }
+.heatmap-day.selected { stroke: var(--text-primary); stroke-width: 1.5px; }
+.heatmap-swatch {
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  border-radius: 2px;
+  background: var(--primary);
+}
+.heatmap-swatch.empty { background: var(--bg-hover); }
+
+.stats-swatch {
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  border-radius: 2px;
+}
+
+/* Live update toast (--serve) */
+.live-toast {
+  position: fixed;
+  bottom: 24px;
+  left: 24px;
+  z-index: 60;
+  padding: 10px 14px;
+  border-radius: 4px;
+  border: 1px solid var(--primary);
+  border-left-width: 3px;
+  background: var(--bg-surface);
+  color: var(--text-primary);
+  box-shadow: 0 4px 14px rgba(0, 0, 0, 0.12);
+  opacity: 0;
+  transform: translateY(12px);
+  transition: opacity 0.25s ease, transform 0.25s ease;
+  pointer-events: none;
+}
+.live-toast.visible {
+  opacity: 1;
+  transform: translateY(0);
+  pointer-events: auto;
+}
 </style>
 </head>
 <body class="antialiased font-serif overflow-y-scroll h-screen">
@@ -609,9 +2212,15 @@ body {
     <span class="material-symbols-outlined opacity-80" style="font-size: 20px; color: var(--primary);">forum</span>
     <h1 class="text-lg font-semibold tracking-tight font-sans">Claude Code Q&A - A Retrospective</h1>
   </div>
+  <div class="search-box relative flex-1 mx-6">
+    <span class="material-symbols-outlined search-icon" style="font-size: 16px;">search</span>
+    <input id="search-input" type="search" autocomplete="off" spellcheck="false" placeholder="Search Q&A and conversation  ( / )" class="search-input text-sm font-sans"/>
+    <div id="search-results" class="search-results hidden"></div>
+  </div>
   <div class="flex items-center gap-3">
-    <span class="text-xs font-mono" style="color: var(--text-primary);">
-      Analyzed ${viewModel.totalSessions} sessions across ${viewModel.totalProjects} projects — ${viewModel.qaSessionCount} contain Q&A
+    ${options.live ? '<span id="live-indicator" class="text-xs font-mono" style="color: var(--primary);" title="Watching for new sessions">● Live</span>' : ''}
+    <span id="header-stats" class="text-xs font-mono" style="color: var(--text-primary);">
+      ${single ? formatSingleSessionStats(single) : formatHeaderStats(viewModel)}
     </span>
     <button onclick="toggleTheme()" id="theme-toggle" class="flex items-center justify-center w-8 h-8 rounded-sm hover:opacity-80 transition-opacity" style="background: var(--bg-surface); border: 1px solid var(--border);" title="Toggle theme">
       <span class="material-symbols-outlined" style="font-size: 18px;" id="theme-icon">dark_mode</span>
@@ -620,13 +2229,19 @@ body {
 </header>
 
 <!-- Session List View -->
-<div id="session-list" class="flex-1 px-6 py-8">
-  ${generateSessionListHTML(viewModel)}
+<div id="session-list" class="flex-1 px-6 py-8${single ? ' hidden' : ''}">
+  ${single ? '' : generateSessionListHTML(viewModel)}
 </div>
 
 <!-- Session Detail View (rendered by client JS) -->
 <div id="session-detail" class="flex-1 hidden"></div>
 
+<!-- Stats Dashboard (rendered by client JS) -->
+<div id="stats-view" class="flex-1 hidden"></div>
+
+<!-- Recurring Questions (rendered by client JS) -->
+<div id="recurring-view" class="flex-1 hidden"></div>
+
 </div>
 
 <!-- Back to top button -->
@@ -636,29 +2251,102 @@ body {
 
 <script>
 // ─── Embedded Data ──────────────────────────────────────────────────────────
-const SESSION_DATA = ${JSON.stringify(viewModel.sessions.map(s => ({
-  id: s.meta.sessionId,
-  slug: s.meta.slug,
-  projectName: s.meta.projectName,
-  startTime: s.meta.startTime,
-  firstUserMessage: s.meta.firstUserMessage,
-  cwd: shortenHome(s.meta.cwd),
-  qaCount: s.qaPairs.length,
-  qaPairs: s.qaPairs,
-  timeline: s.timeline,
-}))).replace(/<\//g, '<\\/')};
+const SESSION_DATA = ${JSON.stringify(sessionData).replace(/<\//g, '<\\/')};
+const SINGLE_SESSION_ID = ${single ? JSON.stringify(single.id) : 'null'};
+const SESSION_CHUNK_BASE = ${options.chunkBase ? JSON.stringify(options.chunkBase) : 'null'};
+
+const ICON_PATHS = ${options.offline ? JSON.stringify(ICON_PATHS) : 'null'};
+const LIVE_UPDATES = ${!!options.live};
 
 ${generateClientJS()}
 </script>
 </body>
 </html>`;
+
+  return options.offline ? inlineOfflineAssets(html) : html;
+}
+
+function toClientSession(s, { timeline = true } = {}) {
+  return {
+    id: s.meta.sessionId,
+    slug: s.meta.slug,
+    projectName: s.meta.projectName,
+    startTime: s.meta.startTime,
+    firstUserMessage: s.meta.firstUserMessage,
+    resumedFrom: s.meta.resumedFrom || '',
+    isRenamed: !!s.meta.isRenamed,
+    cwd: shortenHome(s.meta.cwd),
+    qaCount: s.qaPairs.length,
+    qaPairs: s.qaPairs,
+    ...(timeline ? { timeline: s.timeline } : {}),
+    redactions: s.redactions || null,
+  };
+}
+
+function formatHeaderStats(viewModel) {
+  return `Analyzed ${viewModel.totalSessions} sessions across ${viewModel.totalProjects} projects — ${viewModel.qaSessionCount} contain Q&A`;
+}
+
+function formatSingleSessionStats(session) {
+  return `${escapeHTML(session.projectName)} — ${session.qaCount} Q&A`;
+}
+
+function generateCDNHead() {
+  return `<link href="https://fonts.googleapis.com" rel="preconnect"/>
+<link crossorigin="" href="https://fonts.gstatic.com" rel="preconnect"/>
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&family=JetBrains+Mono:wght@400;500;700&family=Newsreader:ital,opsz,wght@0,6..72,400;0,6..72,500;0,6..72,600;1,6..72,400;1,6..72,500&display=swap" rel="stylesheet"/>
+<link href="https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined:wght,FILL@100..700,0..1&display=swap" rel="stylesheet"/>
+<script src="https://cdn.tailwindcss.com?plugins=forms,container-queries"></script>
+<script>
+tailwind.config = {
+  darkMode: "class",
+  theme: {
+    extend: {
+      colors: {
+        "primary": "#D97706",
+        "ink": "#2C2C2C",
+        "paper": "#F9F8F4",
+        "slate-log": "#5F6B7C",
+        "amber-light": "#FDE68A",
+        "border-subtle": "#E5E2D9",
+        "surface": "#FFFFFF",
+      },
+      fontFamily: ${JSON.stringify(FONT_STACKS)},
+      borderRadius: {
+        "sm": "2px",
+        "md": "4px",
+      },
+      boxShadow: {
+        'paper': '0 20px 40px rgba(0,0,0,0.05)',
+      }
+    },
+  },
+}
+</script>`;
 }
 
 function generateSessionListHTML(viewModel) {
+  // Only the list chrome; the cards are rendered by the client from SESSION_DATA
   let html = '';
 
   // Info disclaimer about session names
   html += `
+    <div class="flex justify-end gap-2 mb-4">
+      <button onclick="setListLayout('projects')" id="layout-projects" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm" title="Group sessions by project">By project</button>
+      <button onclick="setListLayout('timeline')" id="layout-timeline" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm" title="All projects in one chronological list">Timeline</button>
+      <a href="#stats" class="filter-btn flex items-center gap-1.5 px-3 py-1 text-xs font-mono rounded-sm no-underline" title="Analytics over every question and answer">
+        <span class="material-symbols-outlined" style="font-size: 14px;">bar_chart</span>
+        Stats
+      </a>
+      <a href="#recurring" class="filter-btn flex items-center gap-1.5 px-3 py-1 text-xs font-mono rounded-sm no-underline" title="Questions that keep coming up across sessions">
+        <span class="material-symbols-outlined" style="font-size: 14px;">repeat</span>
+        Recurring
+      </a>
+      <button onclick="exportMarkdown()" class="filter-btn flex items-center gap-1.5 px-3 py-1 text-xs font-mono rounded-sm" title="Download every session's Q&A as Markdown">
+        <span class="material-symbols-outlined" style="font-size: 14px;">download</span>
+        Export Markdown
+      </button>
+    </div>
     <div class="mb-8 pl-3 border-l-2" style="border-left-color: var(--primary);">
       <p class="text-sm font-serif italic leading-relaxed" style="color: var(--text-secondary);">
         Session names are randomly generated by Claude Code. Use <code class="font-mono text-xs px-1 py-0.5 rounded-sm" style="background: var(--bg-hover); color: var(--primary);">/rename</code> in any active session to give it a meaningful title.
@@ -666,64 +2354,44 @@ function generateSessionListHTML(viewModel) {
       </p>
     </div>`;
 
-  // Sort project groups by most recent session date (newest first)
-  const projectNames = Object.keys(viewModel.grouped).sort((a, b) => {
-    const aLatest = new Date(viewModel.grouped[a][0].meta.startTime);
-    const bLatest = new Date(viewModel.grouped[b][0].meta.startTime);
-    return bLatest - aLatest;
-  });
-
-  for (const projectName of projectNames) {
-    const sessions = viewModel.grouped[projectName];
-    html += `
-    <div class="mb-10">
-      <div class="flex items-center gap-3 mb-4">
-        <span class="material-symbols-outlined" style="font-size: 16px; color: var(--text-muted);">folder</span>
-        <h2 class="text-sm font-mono uppercase tracking-widest" style="color: var(--text-muted);">${escapeHTML(projectName)}</h2>
-        <div class="h-px flex-1" style="background: var(--border);"></div>
-      </div>
-      <div class="grid gap-3">`;
-
-    for (const session of sessions) {
-      const date = formatDate(session.meta.startTime);
-      const time = formatTime(session.meta.startTime);
-      const preview = escapeHTML(session.meta.firstUserMessage.slice(0, 160));
-      const slug = escapeHTML(session.meta.slug);
-
-      html += `
-        <a href="#session/${session.meta.sessionId}" class="session-card block border rounded-sm px-5 py-4 cursor-pointer no-underline" style="color: inherit;">
-          <div class="flex items-start justify-between gap-4">
-            <div class="flex-1 min-w-0">
-              <div class="flex items-center gap-2 mb-1.5">
-                <span class="text-sm font-mono font-medium" style="color: var(--primary);">${slug}</span>
-                <span class="text-xs font-mono" style="color: var(--text-muted);">${date} ${time}</span>
-              </div>
-              <p class="text-sm leading-relaxed line-clamp-2" style="color: var(--text-secondary);">${preview}</p>
-            </div>
-            <span class="badge-qa inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-mono font-bold flex-shrink-0">
-              <span class="material-symbols-outlined" style="font-size: 14px;">question_answer</span>
-              ${session.qaPairs.length}
-            </span>
-          </div>
-        </a>`;
-    }
-
+  if (viewModel.redactionTotal !== null) {
     html += `
-      </div>
+    <div class="mb-8 flex items-center gap-2 text-xs font-mono" style="color: var(--text-muted);">
+      <span class="material-symbols-outlined" style="font-size: 14px;">lock</span>
+      Redacted with --redact: ${viewModel.redactionTotal} value${viewModel.redactionTotal === 1 ? '' : 's'} masked. Counts per session are shown on each card.
     </div>`;
   }
 
+  html += `
+    <div id="activity-heatmap" class="mb-6"></div>
+    <div id="list-sort" class="flex flex-wrap items-center gap-2 mb-3"></div>
+    <div id="project-chips" class="flex flex-wrap gap-2 mb-4"></div>
+    <div id="list-status" class="flex items-center gap-3 mb-6 text-xs font-mono" style="color: var(--text-secondary);"></div>
+    <div id="session-groups"></div>`;
+
   return html;
 }
 
 function generateClientJS() {
   return `
+// ─── Icons ────────────────────────────────────────────────────────────────
+// Icons are Material Symbols ligatures, or inline SVG when built --offline
+function setIcon(el, name) {
+  el.dataset.icon = name;
+  el.innerHTML = iconMarkup(name);
+}
+
+function iconMarkup(name) {
+  // For icons picked at runtime, which the offline build can't swap ahead of time
+  return ICON_PATHS && ICON_PATHS[name] ? '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="' + ICON_PATHS[name] + '"/></svg>' : name;
+}
+
 // ─── Theme ────────────────────────────────────────────────────────────────
 function initTheme() {
   const saved = localStorage.getItem('qa-viz-theme');
   if (saved === 'dark' || (!saved && window.matchMedia('(prefers-color-scheme: dark)').matches)) {
     document.documentElement.classList.add('dark');
-    document.getElementById('theme-icon').textContent = 'light_mode';
+    setIcon(document.getElementById('theme-icon'), 'light_mode');
   }
 }
 function toggleTheme() {
@@ -731,7 +2399,7 @@ function toggleTheme() {
   html.classList.toggle('dark');
   const isDark = html.classList.contains('dark');
   localStorage.setItem('qa-viz-theme', isDark ? 'dark' : 'light');
-  document.getElementById('theme-icon').textContent = isDark ? 'light_mode' : 'dark_mode';
+  setIcon(document.getElementById('theme-icon'), isDark ? 'light_mode' : 'dark_mode');
 }
 initTheme();
 
@@ -742,6 +2410,11 @@ function esc(str) {
   return d.innerHTML;
 }
 
+function escAttr(str) {
+  // esc() leaves quotes alone, which is only safe outside attribute values
+  return esc(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function formatDate(ts) {
   if (!ts) return '';
   const d = new Date(ts);
@@ -754,42 +2427,250 @@ function formatTime(ts) {
   return d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
 }
 
-// ─── Router ───────────────────────────────────────────────────────────────
-let currentFilter = 'all'; // 'all' or 'qa'
-const qaRegistry = {}; // id → {questions, answers} for Copy JSON
-
-function initRouter() {
-  window.addEventListener('hashchange', handleRoute);
-  handleRoute();
-}
-
-function handleRoute() {
-  const hash = location.hash || '#/';
-  if (hash.startsWith('#session/')) {
-    const id = hash.replace('#session/', '');
-    showSessionDetail(id);
-  } else {
-    showSessionList();
-  }
+function formatDuration(ms) {
+  if (ms === null) return '—';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return s + 's';
+  const m = Math.floor(s / 60);
+  if (m < 60) return m + 'm ' + String(s % 60).padStart(2, '0') + 's';
+  const h = Math.floor(m / 60);
+  if (h < 24) return h + 'h ' + String(m % 60).padStart(2, '0') + 'm';
+  return Math.floor(h / 24) + 'd ' + (h % 24) + 'h';
 }
 
-function showSessionList() {
-  document.getElementById('session-list').classList.remove('hidden');
-  document.getElementById('session-detail').classList.add('hidden');
-}
+// ─── Markdown Rendering ───────────────────────────────────────────────────
+// A small subset: fenced code, headings, lists, quotes, tables, rules and
+// inline code/bold/italic/links. Text is escaped before any markup is added
+// and links must be http(s), so transcript content can never inject HTML.
+let renderMarkdownEnabled = localStorage.getItem('qa-viz-raw') !== 'true';
+
+function renderMarkdown(text) {
+  const lines = String(text || '').split('\\n');
+  const out = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) out.push('<p>' + paragraph.map(renderInlineMarkdown).join('<br>') + '</p>');
+    paragraph = [];
+  };
 
-function showSessionDetail(id) {
-  const session = SESSION_DATA.find(s => s.id === id);
-  if (!session) {
-    location.hash = '#/';
-    return;
-  }
-  document.getElementById('session-list').classList.add('hidden');
-  const detail = document.getElementById('session-detail');
-  detail.classList.remove('hidden');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = /^\\s*(\`\`\`|~~~)\\s*([\\w+#.-]*)/.exec(line);
+    if (fence) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) code.push(lines[i]);
+      out.push(renderCodeBlock(code.join('\\n'), fence[2]));
+      continue;
+    }
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    const heading = /^(#{1,6})\\s+(.*)$/.exec(line);
+    if (heading) {
+      flush();
+      out.push('<div class="md-heading">' + renderInlineMarkdown(heading[2]) + '</div>');
+      continue;
+    }
+    if (/^\\s*([-*_])(\\s*\\1){2,}\\s*$/.test(line)) {
+      flush();
+      out.push('<hr>');
+      continue;
+    }
+    if (line.includes('|') && /^\\s*\\|?\\s*:?-+:?\\s*(\\|\\s*:?-+:?\\s*)*\\|?\\s*$/.test(lines[i + 1] || '')) {
+      flush();
+      const rows = [line];
+      for (i += 2; i < lines.length && lines[i].includes('|'); i++) rows.push(lines[i]);
+      i--;
+      out.push(renderTable(rows));
+      continue;
+    }
+    if (MD_LIST_ITEM.test(line)) {
+      flush();
+      const ordered = /\\d/.test(MD_LIST_ITEM.exec(line)[1]);
+      const items = [];
+      for (; i < lines.length; i++) {
+        const item = MD_LIST_ITEM.exec(lines[i]);
+        if (!item || /\\d/.test(item[1]) !== ordered) break;
+        items.push('<li>' + renderInlineMarkdown(item[2]) + '</li>');
+      }
+      i--;
+      out.push(ordered ? '<ol>' + items.join('') + '</ol>' : '<ul>' + items.join('') + '</ul>');
+      continue;
+    }
+    if (/^\\s*>/.test(line)) {
+      flush();
+      const quoted = [];
+      for (; i < lines.length && /^\\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\\s*>\\s?/, ''));
+      i--;
+      out.push('<blockquote>' + renderMarkdown(quoted.join('\\n')) + '</blockquote>');
+      continue;
+    }
+    paragraph.push(line);
+  }
+  flush();
+  return out.join('');
+}
+
+const MD_LIST_ITEM = /^\\s*([-*+]|\\d+[.)])\\s+(.*)$/;
+
+function renderInlineMarkdown(text) {
+  // Code spans and links are set aside first so nothing inside them is reformatted
+  const held = [];
+  const hold = (html) => '\\u0000' + (held.push(html) - 1) + '\\u0000';
+  const html = esc(text)
+    .replace(/(\`+)(?!\`)([\\s\\S]*?[^\`])\\1(?!\`)/g, (m, ticks, code) => hold('<code class="md-inline-code">' + code.trim() + '</code>'))
+    .replace(/\\[([^\\]]+)\\]\\((https?:\\/\\/[^\\s)]+)\\)/g, (m, label, url) => hold('<a href="' + url.replace(/"/g, '&quot;') + '" target="_blank" rel="noopener noreferrer">' + label + '</a>'))
+    .replace(/\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\\S)([\\s\\S]*?\\S)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\\w])\\*(?=\\S)([^*]*?\\S)\\*(?![*\\w])/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\\w])_(?=\\S)([^_]*?\\S)_(?![_\\w])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\\S)([\\s\\S]*?\\S)~~/g, '<del>$1</del>');
+  return html.replace(/\\u0000(\\d+)\\u0000/g, (m, k) => held[k]);
+}
+
+function renderCodeBlock(code, lang) {
+  let html = '<div class="md-code">';
+  html += '<div class="md-code-bar flex items-center justify-between px-3 py-1 text-[10px] font-mono">';
+  html += '<span>' + esc(lang) + '</span>';
+  html += '<button onclick="copyCodeBlock(this)" class="flex items-center gap-1 hover:opacity-80" title="Copy code"><span class="material-symbols-outlined" style="font-size: 14px;">content_copy</span>Copy</button>';
+  html += '</div>';
+  html += '<pre class="text-xs font-mono"><code>' + esc(code) + '</code></pre>';
+  return html + '</div>';
+}
+
+function renderTable(rows) {
+  const [head, ...body] = rows.map(splitTableRow);
+  let html = '<div class="md-table"><table><thead><tr>';
+  html += head.map(cell => '<th>' + renderInlineMarkdown(cell) + '</th>').join('');
+  html += '</tr></thead><tbody>';
+  for (const row of body) {
+    html += '<tr>' + head.map((_, k) => '<td>' + renderInlineMarkdown(row[k] || '') + '</td>').join('') + '</tr>';
+  }
+  return html + '</tbody></table></div>';
+}
+
+function splitTableRow(row) {
+  // Pipes inside code spans or escaped as \\| don't end a cell
+  const text = row.trim().replace(/^\\|/, '').replace(/\\|$/, '');
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  for (let k = 0; k < text.length; k++) {
+    const ch = text[k];
+    if (ch === '\\\\' && text[k + 1] === '|') {
+      cell += '|';
+      k++;
+      continue;
+    }
+    if (ch === '\`') inCode = !inCode;
+    if (ch === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+      continue;
+    }
+    cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Inline formatting for short strings such as questions and option descriptions
+function formatInline(text) {
+  return renderMarkdownEnabled ? renderInlineMarkdown(text) : esc(text);
+}
+
+function copyCodeBlock(btn) {
+  const code = btn.closest('.md-code').querySelector('code').textContent;
+  navigator.clipboard.writeText(code).then(() => {
+    const icon = btn.querySelector('.material-symbols-outlined');
+    setIcon(icon, 'check');
+    setTimeout(() => { setIcon(icon, 'content_copy'); }, 1500);
+  });
+}
+
+function toggleRawText() {
+  renderMarkdownEnabled = !renderMarkdownEnabled;
+  localStorage.setItem('qa-viz-raw', renderMarkdownEnabled ? 'false' : 'true');
+  document.getElementById('filter-raw').classList.toggle('active', !renderMarkdownEnabled);
+  setFilter(currentFilter);
+}
+
+// ─── Router ───────────────────────────────────────────────────────────────
+let currentFilter = 'all'; // 'all' or 'qa'
+let showToolOutput = false; // expand every tool call's result in the transcript
+let showThinking = false; // show thinking blocks (only present with --include-thinking)
+const qaRegistry = {}; // id → {questions, answers} for Copy JSON
+const toolRegistry = {}; // id → tool_use entry, rendered when its pill is expanded
+
+function initRouter() {
+  window.addEventListener('hashchange', handleRoute);
+  handleRoute();
+}
+
+function handleRoute() {
+  const hash = location.hash || '#/';
+  if (SINGLE_SESSION_ID) {
+    // Standalone export: there is no list, so every route shows the transcript
+    const [id, anchor] = hash.replace('#session/', '').split('/');
+    showSessionDetail(SINGLE_SESSION_ID, id === SINGLE_SESSION_ID ? anchor : '');
+  } else if (hash.startsWith('#session/')) {
+    // #session/<id> or #session/<id>/<anchor> (deep link from search)
+    const [id, anchor] = hash.replace('#session/', '').split('/');
+    showSessionDetail(id, anchor);
+  } else if (hash === '#stats') {
+    showStats();
+  } else if (hash === '#recurring' || hash === '#recurring/same') {
+    showRecurring(hash === '#recurring/same');
+  } else {
+    showSessionList();
+  }
+}
+
+function showView(id) {
+  for (const viewId of ['session-list', 'session-detail', 'stats-view', 'recurring-view']) {
+    document.getElementById(viewId).classList.toggle('hidden', viewId !== id);
+  }
+}
+
+function showSessionList() {
+  showView('session-list');
+  listState = readListState(location.hash);
+  renderSessionList();
+}
+
+function showStats() {
+  showView('stats-view');
+  renderStats(document.getElementById('stats-view'));
+  window.scrollTo(0, 0);
+}
+
+function showSessionDetail(id, anchor) {
+  const session = SESSION_DATA.find(s => s.id === id);
+  if (!session) {
+    location.hash = '#/';
+    return;
+  }
+  showView('session-detail');
+  const detail = document.getElementById('session-detail');
+  if (!session.timeline) {
+    detail.innerHTML = '<p class="px-6 py-8 text-sm font-serif italic" style="color: var(--text-muted);">Loading transcript…</p>';
+    loadSessionTimeline(session).then(() => {
+      // The user may have navigated on while the chunk loaded
+      if (detail.classList.contains('hidden') || (!SINGLE_SESSION_ID && !location.hash.startsWith('#session/' + id))) return;
+      showSessionDetail(id, anchor);
+    }, (e) => {
+      detail.innerHTML = '<p class="px-6 py-8 text-sm font-serif italic" style="color: var(--text-muted);">' + esc(e.message) + '. Keep the sessions folder next to this page.</p>';
+    });
+    return;
+  }
   currentFilter = 'all';
+  showToolOutput = false;
+  showThinking = false;
   renderSessionDetail(session, detail);
   applyTruncation();
+  if (anchor) revealAnchor(anchor);
 }
 
 // ─── Session Detail Rendering ─────────────────────────────────────────────
@@ -812,11 +2693,13 @@ function renderSessionDetail(session, container) {
   html += '<div class="view-header px-6 py-4 fade-in">';
   html += '  <div class="flex items-center justify-between">';
   html += '    <div class="flex items-center gap-3">';
-  html += '      <a href="#/" class="back-link flex items-center gap-1 text-sm font-sans no-underline">';
-  html += '        <span class="material-symbols-outlined" style="font-size: 18px;">arrow_back</span>';
-  html += '        Sessions';
-  html += '      </a>';
-  html += '      <span style="color: var(--text-muted);">·</span>';
+  if (!SINGLE_SESSION_ID) {
+    html += '      <a href="' + listHash() + '" class="back-link flex items-center gap-1 text-sm font-sans no-underline">';
+    html += '        <span class="material-symbols-outlined" style="font-size: 18px;">arrow_back</span>';
+    html += '        Sessions';
+    html += '      </a>';
+    html += '      <span style="color: var(--text-muted);">·</span>';
+  }
   html += '      <span class="text-sm font-mono font-medium" style="color: var(--primary);">' + esc(session.slug) + '</span>';
   html += '      <span class="badge-qa inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-mono font-bold">';
   html += '        ' + session.qaCount + ' Q&A';
@@ -825,18 +2708,39 @@ function renderSessionDetail(session, container) {
   html += '    <div class="flex items-center gap-2">';
   html += '      <button onclick="setFilter(\\'all\\')" id="filter-all" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm active">All</button>';
   html += '      <button onclick="setFilter(\\'qa\\')" id="filter-qa" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm">Q&A Only</button>';
+  html += '      <button onclick="toggleRawText()" id="filter-raw" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm' + (renderMarkdownEnabled ? '' : ' active') + '" title="Show messages as raw text instead of rendered Markdown">Raw text</button>';
+  if (timelineHas(session.timeline, 'thinking')) {
+    html += '      <button onclick="toggleThinking()" id="filter-thinking" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm' + (showThinking ? ' active' : '') + '" title="Show Claude\\'s thinking between messages">Thinking</button>';
+  }
+  html += '      <button onclick="toggleToolOutput()" id="filter-tools" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm' + (showToolOutput ? ' active' : '') + '" title="Expand the output of every tool call">Tool output</button>';
+  html += '      <button onclick="exportMarkdown(' + escAttr(JSON.stringify(session.id)) + ')" class="filter-btn flex items-center gap-1.5 px-3 py-1 text-xs font-mono rounded-sm" title="Download this session\\'s Q&A as Markdown">';
+  html += '        <span class="material-symbols-outlined" style="font-size: 14px;">download</span>';
+  html += '        Markdown';
+  html += '      </button>';
   html += '    </div>';
   html += '  </div>';
   html += '  <div class="mt-2 flex items-center gap-3 text-xs font-mono" style="color: var(--text-muted);">';
   html += '    <span>' + formatDate(session.startTime) + '</span>';
   html += '    <span>·</span>';
   html += '    <span>' + esc(session.cwd) + '</span>';
+  html += renderResumeLinks(session);
+  if (session.redactions) {
+    const kinds = Object.entries(session.redactions);
+    const total = kinds.reduce((sum, [, n]) => sum + n, 0);
+    html += '    <span>·</span>';
+    html += '    <span title="' + escAttr(kinds.map(([kind, n]) => kind + ' ' + n).join(', ') || 'nothing to redact') + '">' + total + ' redacted</span>';
+  }
+  const waits = summarizeWaits(session.qaPairs.map(responseTimeMs));
+  if (waits.count) {
+    html += '    <span>·</span>';
+    html += '    <span title="Time Claude spent waiting on your answers (median / p90 per AskUserQuestion prompt)">Waited ' + formatDuration(waits.total) + ' on you · median ' + formatDuration(waits.median) + ' · p90 ' + formatDuration(waits.p90) + '</span>';
+  }
   html += '  </div>';
   // Session ID + rename hint
   html += '  <div class="mt-2 flex items-center gap-2 text-xs font-mono" style="color: var(--text-muted);">';
   html += '    <span style="color: var(--text-muted); opacity: 0.7;">Session ID:</span>';
   html += '    <code class="px-1.5 py-0.5 rounded-sm select-all" style="background: var(--bg-hover); color: var(--text-secondary);">' + esc(session.id) + '</code>';
-  html += '    <button onclick="copyText(\\'' + esc(session.id) + '\\')" class="flex items-center gap-1 transition-colors hover:opacity-80" style="color: var(--text-muted);" title="Copy session ID">';
+  html += '    <button onclick="copyText(' + escAttr(JSON.stringify(session.id)) + ')" class="flex items-center gap-1 transition-colors hover:opacity-80" style="color: var(--text-muted);" title="Copy session ID">';
   html += '      <span class="material-symbols-outlined" style="font-size: 14px;">content_copy</span>';
   html += '    </button>';
   html += '    <span style="opacity: 0.4;">|</span>';
@@ -865,14 +2769,43 @@ function renderSessionDetail(session, container) {
   container._answerByToolUseId = answerByToolUseId;
 }
 
+function renderResumeLinks(session) {
+  // Origin sessions without Q&A aren't in the viewer, so they're named by ID only
+  let html = '';
+  if (session.resumedFrom) {
+    const origin = SESSION_DATA.find(s => s.id === session.resumedFrom);
+    html += '    <span>·</span>';
+    html += origin
+      ? '    <a href="#session/' + escAttr(origin.id) + '" class="back-link no-underline">Resumed from ' + esc(origin.slug) + '</a>'
+      : '    <span title="' + escAttr(session.resumedFrom) + '">Resumed from ' + esc(session.resumedFrom.slice(0, 8)) + '…</span>';
+  }
+  for (const resumed of SESSION_DATA.filter(s => s.resumedFrom === session.id)) {
+    html += '    <span>·</span>';
+    html += '    <a href="#session/' + escAttr(resumed.id) + '" class="back-link no-underline">Resumed in ' + esc(resumed.slug) + '</a>';
+  }
+  return html;
+}
+
 function renderTimeline(session, qaByToolUseId, answerByToolUseId) {
+  return renderTimelineEntries(session.timeline, 't', qaByToolUseId, new Set());
+}
+
+function renderTimelineEntries(timeline, anchorPrefix, qaByToolUseId, renderedQAIds) {
   let html = '';
-  const timeline = session.timeline;
-  const renderedQAIds = new Set();
 
   for (let i = 0; i < timeline.length; i++) {
     const entry = timeline[i];
 
+    if (entry.type === 'subagent') {
+      html += renderSubagentThread(entry, anchorPrefix + i, qaByToolUseId, renderedQAIds);
+      continue;
+    }
+
+    if (entry.type === 'fork') {
+      html += renderForkBranch(entry, anchorPrefix + i, qaByToolUseId, renderedQAIds);
+      continue;
+    }
+
     if (entry.type === 'ask_user_question') {
       const pair = qaByToolUseId[entry.toolUseId];
       if (pair && !renderedQAIds.has(entry.toolUseId)) {
@@ -890,15 +2823,77 @@ function renderTimeline(session, qaByToolUseId, answerByToolUseId) {
     // Regular timeline entries (hidden in QA-only mode)
     if (currentFilter === 'qa') continue;
 
-    html += renderTimelineEntry(entry);
+    html += renderTimelineEntry(entry, anchorPrefix + i);
+  }
+
+  return html;
+}
+
+function renderSubagentThread(entry, anchor, qaByToolUseId, renderedQAIds) {
+  // Nested entries are anchored as <thread anchor>.<index> for search links
+  const inner = renderTimelineEntries(entry.timeline, anchor + '.', qaByToolUseId, renderedQAIds);
+  if (!inner) return '';
+  const qaCount = countThreadQA(entry.timeline, qaByToolUseId);
+  const title = entry.description || firstThreadPrompt(entry.timeline) || 'Subagent run';
+
+  let html = '';
+  // Threads that asked you something start open so their Q&A cards show
+  html += '<details class="thread subagent-thread my-2" data-anchor="' + anchor + '"' + (qaCount > 0 ? ' open' : '') + '>';
+  html += '  <summary class="thread-summary flex items-center gap-2 px-3 py-1.5 rounded-sm text-xs font-mono">';
+  html += '    <span class="material-symbols-outlined thread-chevron" style="font-size: 16px;">chevron_right</span>';
+  html += '    <span style="color: var(--primary); font-weight: 600;">Subagent</span>';
+  if (entry.subagentType) {
+    html += '    <span style="color: var(--text-muted);">' + esc(entry.subagentType) + '</span>';
   }
+  html += '    <span class="truncate flex-1 min-w-0" style="color: var(--text-secondary);">' + esc(title) + '</span>';
+  html += '    <span class="flex-shrink-0" style="color: var(--text-muted);">' + entry.timeline.length + ' entries' + (qaCount > 0 ? ' · ' + qaCount + ' Q&A' : '') + '</span>';
+  html += '  </summary>';
+  html += '  <div class="thread-body pl-4 ml-3 border-l">' + inner + '</div>';
+  html += '</details>';
+  return html;
+}
 
+function renderForkBranch(entry, anchor, qaByToolUseId, renderedQAIds) {
+  const inner = renderTimelineEntries(entry.timeline, anchor + '.', qaByToolUseId, renderedQAIds);
+  if (!inner) return '';
+  const qaCount = countThreadQA(entry.timeline, qaByToolUseId);
+  const title = firstThreadPrompt(entry.timeline) || 'Earlier attempt';
+
+  let html = '';
+  // Abandoned after a rewind or prompt edit; collapsed so the live branch reads straight through
+  html += '<details class="thread fork-branch my-2" data-anchor="' + anchor + '">';
+  html += '  <summary class="thread-summary flex items-center gap-2 px-3 py-1.5 rounded-sm text-xs font-mono">';
+  html += '    <span class="material-symbols-outlined thread-chevron" style="font-size: 16px;">chevron_right</span>';
+  html += '    <span style="font-weight: 600;">Abandoned branch</span>';
+  html += '    <span class="truncate flex-1 min-w-0" style="color: var(--text-secondary);">' + esc(title) + '</span>';
+  html += '    <span class="flex-shrink-0">' + entry.timeline.length + ' entries' + (qaCount > 0 ? ' · ' + qaCount + ' Q&A' : '') + '</span>';
+  html += '  </summary>';
+  html += '  <div class="thread-body pl-4 ml-3 border-l">' + inner + '</div>';
+  html += '</details>';
   return html;
 }
 
+function timelineHas(timeline, type) {
+  return timeline.some(entry => entry.type === type || (entry.timeline && timelineHas(entry.timeline, type)));
+}
+
+function countThreadQA(timeline, qaByToolUseId) {
+  let count = 0;
+  for (const entry of timeline) {
+    if (entry.type === 'ask_user_question' && qaByToolUseId[entry.toolUseId]) count++;
+    else if (entry.timeline) count += countThreadQA(entry.timeline, qaByToolUseId);
+  }
+  return count;
+}
+
+function firstThreadPrompt(timeline) {
+  const first = timeline.find(e => e.type === 'user_text');
+  return first ? first.content.split('\\n')[0] : '';
+}
+
 function renderQACard(pair, timestamp) {
   let html = '';
-  html += '<div class="relative my-4 -mx-4 md:-mx-8 fade-in qa-card-wrapper">';
+  html += '<div class="relative my-4 -mx-4 md:-mx-8 fade-in qa-card-wrapper" data-anchor="qa-' + escAttr(pair.toolUseId) + '">';
   html += '  <div class="absolute left-0 top-6 w-full h-px border-t border-dashed opacity-30" style="border-color: var(--primary);"></div>';
   html += '  <div style="background: var(--amber-dark-bg);" class="border-y" style="border-color: color-mix(in srgb, var(--primary) 20%, transparent);">';
   html += '    <div class="max-w-[640px] mx-auto border-l-2 shadow-sm" style="background: var(--bg-surface); border-left-color: var(--primary);">';
@@ -910,6 +2905,10 @@ function renderQACard(pair, timestamp) {
   if (timestamp) {
     html += '          <span class="text-[11px] font-mono" style="color: var(--text-muted);">' + formatTime(timestamp) + '</span>';
   }
+  const waitMs = responseTimeMs(pair);
+  if (waitMs !== null) {
+    html += '          <span class="text-[11px] font-mono" style="color: var(--text-muted);" title="Time between the question and your answer">· waited ' + formatDuration(waitMs) + '</span>';
+  }
   html += '        </div>';
   html += '      </div>';
 
@@ -917,6 +2916,7 @@ function renderQACard(pair, timestamp) {
   for (let q = 0; q < pair.questions.length; q++) {
     const question = pair.questions[q];
     const answerText = pair.answers[question.question] || '';
+    const { selectedOptions, customAnswer } = pair.selections[q];
 
     html += '      <div class="px-6 py-5 ' + (q > 0 ? 'border-t' : '') + '" style="' + (q > 0 ? 'border-color: var(--border);' : '') + 'background: var(--qa-body-bg);">';
 
@@ -925,26 +2925,36 @@ function renderQACard(pair, timestamp) {
     if (question.header) {
       html += '          <span class="text-[10px] font-mono uppercase tracking-widest mb-1 block" style="color: var(--text-muted);">' + esc(question.header) + '</span>';
     }
-    html += '          <p class="font-serif italic text-lg leading-relaxed" style="color: var(--text-primary);">"' + esc(question.question) + '"</p>';
+    html += '          <p class="font-serif italic text-lg leading-relaxed" style="color: var(--text-primary);">"' + formatInline(question.question) + '"</p>';
     html += '        </div>';
 
     // Options as pills
-    let anyOptionSelected = false;
-    if (question.options && question.options.length > 0) {
+    const hasOptions = question.options && question.options.length > 0;
+    if (hasOptions) {
       html += '        <div class="mb-4">';
-      html += '          <span class="text-[10px] font-mono uppercase tracking-widest mb-2 block" style="color: var(--text-muted);">Options</span>';
+      html += '          <span class="text-[10px] font-mono uppercase tracking-widest mb-2 block" style="color: var(--text-muted);">' + (question.multiSelect ? 'Options · multi-select' : 'Options') + '</span>';
       html += '          <div class="flex flex-wrap gap-2">';
       for (const opt of question.options) {
-        const isSelected = answerText.toLowerCase().includes(opt.label.toLowerCase());
-        if (isSelected) anyOptionSelected = true;
-        html += '            <span class="option-pill px-3 py-1 rounded-full text-xs font-sans' + (isSelected ? ' selected' : '') + '" title="' + esc(opt.description) + '">' + esc(opt.label) + '</span>';
+        const isSelected = selectedOptions.includes(opt.label);
+        html += '            <span class="option-pill px-3 py-1 rounded-full text-xs font-sans' + (isSelected ? ' selected' : '') + '" title="' + escAttr(opt.description) + '">' + esc(opt.label) + '</span>';
+      }
+      if (customAnswer && selectedOptions.length > 0) {
+        html += '            <span class="option-pill px-3 py-1 rounded-full text-xs font-sans selected" title="' + escAttr(customAnswer) + '">Other</span>';
       }
       html += '          </div>';
+      const described = question.options.filter(opt => opt.description);
+      if (described.length > 0) {
+        html += '          <ul class="option-descriptions mt-3 flex flex-col gap-1 text-xs font-sans" style="color: var(--text-secondary);">';
+        for (const opt of described) {
+          html += '            <li><span class="font-mono" style="color: var(--text-primary);">' + esc(opt.label) + '</span> — ' + formatInline(opt.description) + '</li>';
+        }
+        html += '          </ul>';
+      }
       html += '        </div>';
     }
 
     // Answer
-    const isCustomResponse = question.options && question.options.length > 0 && !anyOptionSelected;
+    const isCustomResponse = hasOptions && selectedOptions.length === 0 && !!customAnswer;
     html += '        <div class="relative pl-10">';
     html += '          <div class="absolute left-0 top-0 select-none" style="color: var(--primary); opacity: 0.2;">';
     html += '            <span class="font-serif text-4xl leading-none">A</span>';
@@ -961,9 +2971,20 @@ function renderQACard(pair, timestamp) {
     html += '      </div>';
   }
 
+  // The thinking right before the question, when extracted with --include-thinking
+  if (pair.reasoning) {
+    html += '      <details class="thread qa-why border-t" style="border-color: var(--border);">';
+    html += '        <summary class="thread-summary flex items-center gap-1.5 px-6 py-2 text-xs font-sans">';
+    html += '          <span class="material-symbols-outlined thread-chevron" style="font-size: 16px;">chevron_right</span>';
+    html += '          Why was this asked?';
+    html += '        </summary>';
+    html += '        <div class="thinking-body mx-6 mb-4 text-sm font-serif leading-relaxed">' + renderThinking(pair.reasoning) + '</div>';
+    html += '      </details>';
+  }
+
   // Copy JSON action
   const copyId = 'qa-' + Math.random().toString(36).slice(2, 10);
-  qaRegistry[copyId] = { questions: pair.questions, answers: pair.answers };
+  qaRegistry[copyId] = { questions: pair.questions, answers: pair.answers, selections: pair.selections };
   html += '      <div class="px-6 py-2 border-t flex items-center gap-4" style="border-color: var(--border); background: var(--bg-surface);">';
   html += '        <button onclick="copyQAJSON(\\'' + copyId + '\\')" class="flex items-center gap-1.5 text-xs font-sans font-medium transition-colors" style="color: var(--text-secondary);">';
   html += '          <span class="material-symbols-outlined" style="font-size: 16px;">content_copy</span>';
@@ -978,7 +2999,7 @@ function renderQACard(pair, timestamp) {
   return html;
 }
 
-function renderTimelineEntry(entry) {
+function renderTimelineEntry(entry, anchor) {
   let html = '';
   const time = formatTime(entry.timestamp);
   const TRUNCATE_THRESHOLD = 200;
@@ -992,14 +3013,18 @@ function renderTimelineEntry(entry) {
     const needsTruncation = contentText.length > TRUNCATE_THRESHOLD;
     const entryId = 'conv-' + Math.random().toString(36).slice(2, 8);
 
-    html += '<div class="conv-entry my-2 px-4 py-3">';
+    html += '<div class="conv-entry my-2 px-4 py-3" data-anchor="' + anchor + '">';
     html += '  <div class="flex items-center gap-2 mb-1.5">';
     html += '    <div class="w-2 h-2 rounded-full flex-shrink-0" style="background: ' + color + ';"></div>';
     html += '    <span class="text-xs font-sans font-semibold" style="color: ' + color + ';">' + label + '</span>';
     html += '    <span class="text-[11px] font-mono" style="color: var(--text-muted);">' + time + '</span>';
     html += '  </div>';
     html += '  <div id="' + entryId + '" class="conv-body pl-4 ml-0.5 border-l" style="border-color: color-mix(in srgb, ' + color + ' 20%, transparent);' + (needsTruncation ? '' : '') + '"' + (needsTruncation ? ' data-truncated="true"' : '') + '>';
-    html += '    <p class="text-sm font-serif leading-relaxed whitespace-pre-line" style="color: var(--text-secondary);">' + esc(contentText) + '</p>';
+    if (renderMarkdownEnabled) {
+      html += '    <div class="md-body text-sm font-serif leading-relaxed" style="color: var(--text-secondary);">' + renderMarkdown(contentText) + '</div>';
+    } else {
+      html += '    <p class="text-sm font-serif leading-relaxed whitespace-pre-line" style="color: var(--text-secondary);">' + esc(contentText) + '</p>';
+    }
     html += '  </div>';
     if (needsTruncation) {
       html += '  <button onclick="toggleConvExpand(\\'' + entryId + '\\', this)" class="conv-expand-btn flex items-center gap-1 mt-1.5 pl-5 text-xs font-sans">';
@@ -1011,17 +3036,47 @@ function renderTimelineEntry(entry) {
     return html;
   }
 
-  // ── Tier 3: Tool calls (compact pills) ──
+  // ── Thinking: collapsed and muted, only when toggled on ──
+  if (entry.type === 'thinking') {
+    if (!showThinking) return '';
+    html += '<details class="thread thinking-entry my-1" data-anchor="' + anchor + '">';
+    html += '  <summary class="thread-summary flex items-center gap-2 px-4 py-1 rounded-sm text-[11px] font-mono">';
+    html += '    <span class="material-symbols-outlined thread-chevron" style="font-size: 14px;">chevron_right</span>';
+    html += '    <span>Thinking</span>';
+    html += '    <span class="truncate flex-1 min-w-0 font-serif italic">' + esc(firstLine(entry.content)) + '</span>';
+    html += '    <span class="text-[10px] flex-shrink-0">' + time + '</span>';
+    html += '  </summary>';
+    html += '  <div class="thinking-body ml-6 mb-2 text-sm font-serif leading-relaxed">' + renderThinking(entry.content) + '</div>';
+    html += '</details>';
+    return html;
+  }
+
+  // ── Tier 3: Tool calls (compact pills, expandable to their output) ──
   if (entry.type === 'tool_use') {
-    html += '<div class="tool-pill flex items-center gap-3 py-1 px-4 rounded-sm">';
+    const hasDetail = !!(entry.result || entry.edits);
+    const toolId = 'tool-' + Math.random().toString(36).slice(2, 10);
+    if (hasDetail) toolRegistry[toolId] = entry;
+    html += '<div data-anchor="' + anchor + '">';
+    html += '<div class="tool-pill flex items-center gap-3 py-1 px-4 rounded-sm' + (hasDetail ? ' cursor-pointer' : '') + '"' + (hasDetail ? ' onclick="toggleToolDetail(\\'' + toolId + '\\')"' : '') + '>';
     html += '  <span class="text-[10px] font-mono" style="color: var(--text-muted);">' + time + '</span>';
     html += '  <div class="w-1.5 h-1.5 rounded-full flex-shrink-0" style="background: var(--primary); opacity: 0.6;"></div>';
-    html += '  <span class="text-[11px] font-mono truncate" style="color: var(--text-muted);">';
+    html += '  <span class="text-[11px] font-mono truncate flex-1 min-w-0" style="color: var(--text-muted);">';
     html += '    <span style="color: var(--primary); opacity: 0.8; font-weight: 600;">' + esc(entry.toolName) + '</span>';
     if (entry.content) {
       html += ' · ' + esc(entry.content?.slice(0, 80));
     }
     html += '  </span>';
+    if (entry.result && entry.result.isError) {
+      html += '  <span class="text-[10px] font-mono flex-shrink-0 tool-status-error">' + (entry.result.exitCode ? 'exit ' + entry.result.exitCode : 'error') + '</span>';
+    }
+    if (hasDetail) {
+      html += '  <span class="material-symbols-outlined flex-shrink-0" style="font-size: 14px; color: var(--text-muted);" data-icon="' + (showToolOutput ? 'expand_less' : 'expand_more') + '">' + iconMarkup(showToolOutput ? 'expand_less' : 'expand_more') + '</span>';
+    }
+    html += '</div>';
+    if (hasDetail) {
+      // Output is only built once the pill is opened
+      html += '<div id="' + toolId + '" class="tool-detail ml-4 mb-2' + (showToolOutput ? '' : ' hidden') + '">' + (showToolOutput ? renderToolDetail(entry) : '') + '</div>';
+    }
     html += '</div>';
     return html;
   }
@@ -1030,7 +3085,94 @@ function renderTimelineEntry(entry) {
   return html;
 }
 
+function renderThinking(text) {
+  return renderMarkdownEnabled ? '<div class="md-body">' + renderMarkdown(text) + '</div>' : '<p class="whitespace-pre-line">' + esc(text) + '</p>';
+}
+
+function firstLine(text) {
+  return (text || '').trim().split('\\n')[0].slice(0, 160);
+}
+
+function renderToolDetail(entry) {
+  let html = '';
+  if (entry.edits) {
+    if (entry.content) html += '<div class="tool-detail-label text-[10px] font-mono px-3 py-1">' + esc(entry.content) + '</div>';
+    for (const edit of entry.edits) {
+      html += '<pre class="tool-output diff text-[11px] font-mono">' + renderDiffLines(edit.oldString, edit.newString) + '</pre>';
+    }
+  }
+  const result = entry.result;
+  if (result && 'exitCode' in result) {
+    const status = result.interrupted ? 'interrupted' : result.exitCode === null ? 'failed' : 'exit ' + result.exitCode;
+    html += '<div class="tool-detail-label text-[10px] font-mono px-3 py-1">';
+    html += '<span class="' + (result.isError || result.interrupted ? 'tool-status-error' : 'tool-status-ok') + '">' + status + '</span>';
+    html += '</div>';
+    if (result.stdout) html += '<pre class="tool-output text-[11px] font-mono">' + esc(result.stdout) + '</pre>';
+    if (result.stderr) html += '<pre class="tool-output stderr text-[11px] font-mono">' + esc(result.stderr) + '</pre>';
+    if (!result.stdout && !result.stderr) html += '<div class="tool-detail-label text-[11px] font-mono px-3 py-1">(no output)</div>';
+  } else if (result && result.text && !entry.edits) {
+    html += '<pre class="tool-output text-[11px] font-mono' + (result.isError ? ' stderr' : '') + '">' + esc(result.text) + '</pre>';
+  } else if (result && result.isError) {
+    html += '<pre class="tool-output stderr text-[11px] font-mono">' + esc(result.text) + '</pre>';
+  }
+  return html;
+}
+
+function renderDiffLines(oldText, newText) {
+  // Line-level LCS; very large edits fall back to all-removed then all-added
+  const toLines = (text) => text ? text.replace(/\\n$/, '').split('\\n') : [];
+  const a = toLines(oldText);
+  const b = toLines(newText);
+  const line = (kind, text) => '<span class="diff-line ' + kind + '">' + (kind === 'add' ? '+ ' : kind === 'del' ? '- ' : '  ') + esc(text) + '</span>';
+  if (a.length * b.length > 250000) {
+    return a.map(t => line('del', t)).concat(b.map(t => line('add', t))).join('');
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push(line('ctx', a[i++]));
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push(line('del', a[i++]));
+    } else {
+      out.push(line('add', b[j++]));
+    }
+  }
+  return out.join('');
+}
+
 // ─── Interactions ─────────────────────────────────────────────────────────
+function toggleToolDetail(toolId) {
+  const el = document.getElementById(toolId);
+  const entry = toolRegistry[toolId];
+  if (!el || !entry) return;
+  if (!el.innerHTML) el.innerHTML = renderToolDetail(entry);
+  const opening = el.classList.contains('hidden');
+  el.classList.toggle('hidden', !opening);
+  const icon = el.previousElementSibling.querySelector('.material-symbols-outlined');
+  if (icon) setIcon(icon, opening ? 'expand_less' : 'expand_more');
+}
+
+function toggleThinking() {
+  showThinking = !showThinking;
+  document.getElementById('filter-thinking').classList.toggle('active', showThinking);
+  setFilter(currentFilter);
+}
+
+function toggleToolOutput() {
+  showToolOutput = !showToolOutput;
+  document.getElementById('filter-tools').classList.toggle('active', showToolOutput);
+  setFilter(currentFilter);
+}
+
 function setFilter(mode) {
   currentFilter = mode;
   document.getElementById('filter-all').classList.toggle('active', mode === 'all');
@@ -1081,8 +3223,8 @@ function copyQAJSON(copyId) {
     if (btn) {
       const icon = btn.querySelector('.material-symbols-outlined');
       if (icon) {
-        icon.textContent = 'check';
-        setTimeout(() => { icon.textContent = 'content_copy'; }, 1500);
+        setIcon(icon, 'check');
+        setTimeout(() => { setIcon(icon, 'content_copy'); }, 1500);
       }
     }
   }).catch(() => {
@@ -1102,9 +3244,9 @@ function copyText(text) {
     const btns = document.querySelectorAll('button[onclick*="copyText"]');
     btns.forEach(btn => {
       const icon = btn.querySelector('.material-symbols-outlined');
-      if (icon && icon.textContent === 'content_copy') {
-        icon.textContent = 'check';
-        setTimeout(() => { icon.textContent = 'content_copy'; }, 1500);
+      if (icon && (icon.dataset.icon || icon.textContent) === 'content_copy') {
+        setIcon(icon, 'check');
+        setTimeout(() => { setIcon(icon, 'content_copy'); }, 1500);
       }
     });
   }).catch(() => {
@@ -1117,6 +3259,30 @@ function copyText(text) {
   });
 }
 
+// ─── Markdown Export ──────────────────────────────────────────────────────
+${escapeMarkdownInline.toString()}
+
+${renderQAMarkdown.toString()}
+
+function exportMarkdown(sessionId) {
+  const sessions = sessionId ? SESSION_DATA.filter(s => s.id === sessionId) : SESSION_DATA;
+  if (sessions.length === 0) return;
+  const markdown = renderQAMarkdown(sessions, new Date().toISOString());
+  const fileName = sessionId ? 'claude-qa-' + sessions[0].slug.replace(/[^a-z0-9-]+/gi, '-') + '.md' : 'claude-qa-sessions.md';
+  downloadFile(fileName, markdown, 'text/markdown');
+}
+
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: type + ';charset=utf-8' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ─── Back to Top ──────────────────────────────────────────────────────────
 (function() {
   const btn = document.getElementById('back-to-top');
@@ -1130,97 +3296,1910 @@ function copyText(text) {
   }, { passive: true });
 })();
 
-// ─── Init ─────────────────────────────────────────────────────────────────
-initRouter();
-`;
+// ─── Session List ─────────────────────────────────────────────────────────
+// Rendered from SESSION_DATA. Filters and sort live in the list route's hash
+// (#/?project=…&sort=qa&renamed=1&from=…&to=…); only the rows near the
+// viewport are in the DOM, so thousands of sessions stay cheap.
+const LIST_SORTS = { date: 'Date', qa: 'Q&A', name: 'Name' };
+const LIST_ROW_HEIGHT = { card: 120, header: 72, firstHeader: 40, empty: 60 };
+const LIST_OVERSCAN_PX = 800;
+let listLayout = localStorage.getItem('qa-viz-list-layout') === 'timeline' ? 'timeline' : 'projects';
+let listState = readListState('');
+let listRows = []; // { type, top, height, session | projectName, count }
+let listWindow = ''; // first:last rows currently rendered
+let listScrollQueued = false;
+
+function readListState(hash) {
+  const query = hash.includes('?') ? hash.slice(hash.indexOf('?') + 1) : '';
+  const params = new URLSearchParams(query);
+  const sort = params.get('sort');
+  const from = params.get('from') || '';
+  return {
+    projects: params.getAll('project'),
+    sort: LIST_SORTS[sort] ? sort : 'date',
+    renamed: params.get('renamed') === '1',
+    from,
+    to: from ? params.get('to') || from : '',
+  };
 }
 
-// ─── Server-side Helpers ────────────────────────────────────────────────────
-
-function shortenHome(cwdPath) {
-  if (!cwdPath) return '';
-  const home = os.homedir();
-  if (cwdPath.startsWith(home)) {
-    return '~' + cwdPath.slice(home.length);
+function listHash(state = listState) {
+  const params = new URLSearchParams();
+  for (const project of state.projects) params.append('project', project);
+  if (state.sort !== 'date') params.set('sort', state.sort);
+  if (state.renamed) params.set('renamed', '1');
+  if (state.from) {
+    params.set('from', state.from);
+    if (state.to !== state.from) params.set('to', state.to);
   }
-  return cwdPath;
+  const query = params.toString();
+  return '#/' + (query ? '?' + query : '');
 }
 
-// ─── Server-side HTML Escaping ──────────────────────────────────────────────
+function updateListState(patch) {
+  listState = Object.assign({}, listState, patch);
+  // replaceState doesn't fire hashchange, so filtering never re-routes
+  history.replaceState(null, '', listHash());
+  renderSessionList();
+}
 
-function escapeHTML(str) {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function toggleProjectFilter(projectName) {
+  const projects = listState.projects.includes(projectName)
+    ? listState.projects.filter(p => p !== projectName)
+    : listState.projects.concat(projectName);
+  updateListState({ projects });
 }
 
-function formatDate(ts) {
-  if (!ts) return '';
-  const d = new Date(ts);
-  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+function clearListFilters() {
+  updateListState({ projects: [], renamed: false, from: '', to: '' });
 }
 
-function formatTime(ts) {
-  if (!ts) return '';
-  const d = new Date(ts);
-  return d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+function setListLayout(layout) {
+  listLayout = layout;
+  localStorage.setItem('qa-viz-list-layout', layout);
+  renderSessionList();
 }
 
-// ─── Main ────────────────────────────────────────────────────────────────────
+function sessionInDayRange(session, state) {
+  return session.qaPairs.some(pair => {
+    const key = pairDayKey(pair);
+    return key >= state.from && key <= state.to;
+  });
+}
 
-function main() {
-  console.log('🔍 Discovering Claude Code sessions...');
-  const sessionFiles = discoverSessionFiles();
-  console.log(`   Found ${sessionFiles.length} session files`);
+function filterSessions(state, { ignoreDays = false } = {}) {
+  return SESSION_DATA.filter(s =>
+    (state.projects.length === 0 || state.projects.includes(s.projectName))
+    && (!state.renamed || s.isRenamed)
+    && (ignoreDays || !state.from || sessionInDayRange(s, state)));
+}
 
-  if (sessionFiles.length === 0) {
-    console.error('No session files found. Is Claude Code installed?');
-    process.exit(1);
+function compareSessions(sort) {
+  const byDate = (a, b) => (b.startTime || '').localeCompare(a.startTime || '');
+  if (sort === 'qa') return (a, b) => b.qaCount - a.qaCount || byDate(a, b);
+  if (sort === 'name') return (a, b) => a.slug.localeCompare(b.slug, undefined, { sensitivity: 'base' }) || byDate(a, b);
+  return byDate;
+}
+
+function buildListRows(sessions) {
+  const compare = compareSessions(listState.sort);
+  const sorted = sessions.slice().sort(compare);
+  const rows = [];
+  if (listLayout === 'timeline') {
+    for (const session of sorted) rows.push({ type: 'card', session });
+  } else {
+    // Groups follow the same sort: newest session, most Q&A, or project name
+    const groups = new Map();
+    for (const session of sorted) {
+      if (!groups.has(session.projectName)) groups.set(session.projectName, []);
+      groups.get(session.projectName).push(session);
+    }
+    const qaTotal = (list) => list.reduce((sum, s) => sum + s.qaCount, 0);
+    let names = [...groups.keys()];
+    if (listState.sort === 'qa') names.sort((a, b) => qaTotal(groups.get(b)) - qaTotal(groups.get(a)));
+    if (listState.sort === 'name') names.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    for (const projectName of names) {
+      rows.push({ type: 'header', projectName, count: groups.get(projectName).length });
+      for (const session of groups.get(projectName)) rows.push({ type: 'card', session });
+    }
   }
+  if (rows.length === 0) rows.push({ type: 'empty' });
+  let top = 0;
+  rows.forEach((row, i) => {
+    row.top = top;
+    row.height = row.type === 'header' && i === 0 ? LIST_ROW_HEIGHT.firstHeader : LIST_ROW_HEIGHT[row.type];
+    top += row.height;
+  });
+  return rows;
+}
 
-  console.log('📖 Parsing sessions and extracting Q&A...');
-  const allSessions = [];
+function renderSessionList() {
+  // Also called after a live update replaces the list markup
+  const container = document.getElementById('session-groups');
+  if (!container) return;
+  const inScope = filterSessions(listState, { ignoreDays: true });
+  const shown = listState.from ? inScope.filter(s => sessionInDayRange(s, listState)) : inScope;
+
+  renderListControls();
+  renderHeatmap(inScope);
+  renderListStatus(shown.length);
+
+  listRows = buildListRows(shown);
+  const last = listRows[listRows.length - 1];
+  container.style.height = (last.top + last.height) + 'px';
+  listWindow = '';
+  renderVisibleRows();
+}
 
-  for (const fileInfo of sessionFiles) {
-    try {
-      const parsed = parseJSONLFile(fileInfo.filePath);
-      if (parsed.length === 0) continue;
+function renderVisibleRows() {
+  const container = document.getElementById('session-groups');
+  if (!container || !listRows.length || document.getElementById('session-list').classList.contains('hidden')) return;
+  const viewTop = -container.getBoundingClientRect().top - LIST_OVERSCAN_PX;
+  const viewBottom = viewTop + window.innerHeight + 2 * LIST_OVERSCAN_PX;
+
+  // Binary search for the first row that reaches into the window
+  let lo = 0;
+  let hi = listRows.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (listRows[mid].top + listRows[mid].height <= viewTop) lo = mid + 1;
+    else hi = mid;
+  }
+  let end = lo;
+  while (end < listRows.length - 1 && listRows[end + 1].top < viewBottom) end++;
+  if (listWindow === lo + ':' + end) return;
+  listWindow = lo + ':' + end;
+
+  let html = '';
+  for (let i = lo; i <= end; i++) {
+    const row = listRows[i];
+    html += '<div class="list-row' + (row.type === 'header' ? ' list-row-header' : '') + '" style="top: ' + row.top + 'px; height: ' + row.height + 'px;">';
+    html += renderListRow(row);
+    html += '</div>';
+  }
+  container.innerHTML = html;
+}
 
-      const meta = extractSessionMeta(parsed, fileInfo);
-      const qaPairs = extractQAPairs(parsed);
-      const timeline = buildSessionTimeline(parsed);
+function scheduleVisibleRows() {
+  if (listScrollQueued) return;
+  listScrollQueued = true;
+  requestAnimationFrame(() => {
+    listScrollQueued = false;
+    renderVisibleRows();
+  });
+}
 
-      allSessions.push({ meta, qaPairs, timeline });
-    } catch (e) {
-      // Skip files that fail to parse
-      console.warn(`   Skipped ${fileInfo.sessionId}: ${e.message}`);
-    }
+function renderListRow(row) {
+  if (row.type === 'empty') {
+    return '<p class="text-sm font-serif italic" style="color: var(--text-muted);">No sessions match these filters.</p>';
   }
+  if (row.type === 'header') {
+    let html = '<div class="flex items-center gap-3 w-full">';
+    html += '  <span class="material-symbols-outlined" style="font-size: 16px; color: var(--text-muted);">folder</span>';
+    html += '  <h2 class="text-sm font-mono uppercase tracking-widest" style="color: var(--text-muted);">' + esc(row.projectName) + '</h2>';
+    html += '  <div class="h-px flex-1" style="background: var(--border);"></div>';
+    html += '</div>';
+    return html;
+  }
+  return renderSessionCard(row.session);
+}
 
-  console.log(`   Parsed ${allSessions.length} sessions`);
-  const qaCount = allSessions.filter(s => s.qaPairs.length > 0).length;
-  const totalQA = allSessions.reduce((sum, s) => sum + s.qaPairs.length, 0);
-  console.log(`   Found ${qaCount} sessions with ${totalQA} total Q&A interactions`);
+function renderSessionCard(session) {
+  const time = new Date(session.startTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  let html = '<a href="#session/' + escAttr(session.id) + '" class="session-card block border rounded-sm px-5 py-4 cursor-pointer no-underline" style="color: inherit;">';
+  html += '  <div class="flex items-start justify-between gap-4">';
+  html += '    <div class="flex-1 min-w-0">';
+  html += '      <div class="flex items-center gap-2 mb-1.5">';
+  html += '        <span class="text-sm font-mono font-medium truncate" style="color: var(--primary);">' + esc(session.slug) + '</span>';
+  html += '        <span class="text-xs font-mono flex-shrink-0" style="color: var(--text-muted);">' + formatDate(session.startTime) + ' ' + time + '</span>';
+  if (listLayout === 'timeline') {
+    html += '        <span class="text-xs font-mono truncate" style="color: var(--text-muted);">· ' + esc(session.projectName) + '</span>';
+  }
+  if (session.redactions) {
+    const kinds = Object.entries(session.redactions);
+    const total = kinds.reduce((sum, [, n]) => sum + n, 0);
+    html += '        <span class="text-[10px] font-mono flex-shrink-0" style="color: var(--text-muted);" title="' + escAttr(kinds.map(([kind, n]) => kind + ' ' + n).join(', ') || 'nothing to redact') + '">· ' + total + ' redacted</span>';
+  }
+  html += '      </div>';
+  html += '      <p class="text-sm leading-relaxed line-clamp-2" style="color: var(--text-secondary);">' + esc((session.firstUserMessage || '').slice(0, 160)) + '</p>';
+  html += '    </div>';
+  html += '    <span class="badge-qa inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-mono font-bold flex-shrink-0">';
+  html += '      <span class="material-symbols-outlined" style="font-size: 14px;">question_answer</span>';
+  html += '      ' + session.qaCount;
+  html += '    </span>';
+  html += '  </div>';
+  html += '</a>';
+  return html;
+}
 
-  const viewModel = buildViewModel(allSessions);
-  console.log('\n📝 Generating HTML...');
-  const html = generateHTML(viewModel);
+function renderListControls() {
+  document.getElementById('layout-projects').classList.toggle('active', listLayout === 'projects');
+  document.getElementById('layout-timeline').classList.toggle('active', listLayout === 'timeline');
 
-  fs.writeFileSync(OUTPUT_PATH, html, 'utf-8');
-  console.log(`   Written to ${OUTPUT_PATH}`);
+  let sortHtml = '<span class="text-xs font-mono" style="color: var(--text-muted);">Sort</span>';
+  for (const [key, label] of Object.entries(LIST_SORTS)) {
+    sortHtml += '<button onclick="updateListState({ sort: \\'' + key + '\\' })" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm' + (listState.sort === key ? ' active' : '') + '">' + label + '</button>';
+  }
+  sortHtml += '<button onclick="updateListState({ renamed: ' + !listState.renamed + ' })" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm' + (listState.renamed ? ' active' : '') + '" title="Only sessions given a name with /rename">Renamed only</button>';
+  document.getElementById('list-sort').innerHTML = sortHtml;
 
-  console.log('🌐 Opening in browser...');
-  try {
-    execSync(`${OPEN_CMD} "${OUTPUT_PATH}"`);
-  } catch (e) {
-    console.log(`   Could not auto-open. Open manually: ${OUTPUT_PATH}`);
+  // Chip counts ignore the project filter itself, so every project stays pickable
+  const counts = new Map();
+  for (const session of filterSessions(Object.assign({}, listState, { projects: [] }))) {
+    counts.set(session.projectName, (counts.get(session.projectName) || 0) + 1);
+  }
+  for (const project of listState.projects) if (!counts.has(project)) counts.set(project, 0);
+  const projects = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  let chips = '<button onclick="updateListState({ projects: [] })" class="project-chip filter-btn px-2.5 py-0.5 text-xs font-mono rounded-full' + (listState.projects.length ? '' : ' active') + '">All projects</button>';
+  for (const project of projects) {
+    const active = listState.projects.includes(project);
+    chips += '<button data-project="' + escAttr(project) + '" class="project-chip filter-btn px-2.5 py-0.5 text-xs font-mono rounded-full' + (active ? ' active' : '') + '">' + esc(project) + ' <span class="project-chip-count">' + counts.get(project) + '</span></button>';
+  }
+  const chipBox = document.getElementById('project-chips');
+  chipBox.innerHTML = projects.length > 1 || listState.projects.length ? chips : '';
+  chipBox.onclick = (e) => {
+    const chip = e.target.closest('[data-project]');
+    if (chip) toggleProjectFilter(chip.dataset.project);
+  };
+}
+
+function renderListStatus(shown) {
+  const status = document.getElementById('list-status');
+  const filtered = listState.projects.length || listState.renamed || listState.from;
+  let html = '<span>' + (filtered ? shown + ' of ' + SESSION_DATA.length : shown) + ' session' + ((filtered ? SESSION_DATA.length : shown) === 1 ? '' : 's');
+  if (listState.from) {
+    html += listState.from === listState.to
+      ? ' with Q&A on ' + formatDate(parseDayKey(listState.from))
+      : ' with Q&A between ' + formatDate(parseDayKey(listState.from)) + ' and ' + formatDate(parseDayKey(listState.to));
   }
+  html += '</span>';
+  if (filtered) html += '<button onclick="clearListFilters()" class="filter-btn px-2 py-0.5 text-xs font-mono rounded-sm">Clear filters</button>';
+  status.innerHTML = html;
+}
+
+// ─── Session List: Activity Heatmap ───────────────────────────────────────
+const HEATMAP_MIN_WEEKS = 53;
+const HEATMAP_CELL = 11;
+const HEATMAP_STEP = 13; // cell plus gap
+const HEATMAP_LEVEL_OPACITY = [0, 0.3, 0.5, 0.75, 1];
+let heatmapDrag = null; // { anchor, from, to } while a drag is in progress
 
-  console.log('✅ Done!');
+function dayKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
 }
 
-main();
+function parseDayKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function pairDayKey(pair) {
+  const ts = pair.askTimestamp || pair.answerTimestamp;
+  return ts ? dayKey(new Date(ts)) : '';
+}
+
+function renderHeatmap(sessions) {
+  // Counts follow the project and renamed filters, but not the day range itself
+  const container = document.getElementById('activity-heatmap');
+  const counts = {};
+  for (const session of sessions) {
+    for (const pair of session.qaPairs) {
+      const key = pairDayKey(pair);
+      if (key) counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  const days = Object.keys(counts).sort();
+  if (days.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  const scrolled = container.querySelector('.heatmap-scroll');
+  const keepScroll = scrolled ? scrolled.scrollWidth - scrolled.scrollLeft : 0;
+
+  // Monday-first weeks from the first Q&A (or a year back) to the last
+  const end = weekStart(parseDayKey(days[days.length - 1]));
+  end.setDate(end.getDate() + 6);
+  let start = weekStart(parseDayKey(days[0]));
+  const yearBack = weekStart(end);
+  yearBack.setDate(yearBack.getDate() - (HEATMAP_MIN_WEEKS - 1) * 7);
+  if (yearBack < start) start = yearBack;
+
+  const max = Math.max(...Object.values(counts));
+  const left = 28;
+  const top = 16;
+  let cells = '';
+  let months = '';
+  let lastMonth = -1;
+  let i = 0;
+  for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1), i++) {
+    const col = Math.floor(i / 7);
+    const row = i % 7;
+    if (row === 0 && d.getMonth() !== lastMonth) {
+      lastMonth = d.getMonth();
+      // Skip a label that would collide with the right edge of the previous one
+      if (col > 0 || d.getDate() <= 7) {
+        months += '<text x="' + (left + col * HEATMAP_STEP) + '" y="10">' + d.toLocaleDateString('en-US', { month: 'short' }) + '</text>';
+      }
+    }
+    const key = dayKey(d);
+    const count = counts[key] || 0;
+    const level = count ? Math.max(1, Math.ceil(count / max * 4)) : 0;
+    const selected = listState.from && key >= listState.from && key <= listState.to;
+    cells += '<rect class="heatmap-day' + (level ? '' : ' empty') + (selected ? ' selected' : '') + '" data-day="' + key + '"'
+      + ' x="' + (left + col * HEATMAP_STEP) + '" y="' + (top + row * HEATMAP_STEP) + '"'
+      + ' width="' + HEATMAP_CELL + '" height="' + HEATMAP_CELL + '" rx="2"'
+      + (level ? ' style="fill-opacity: ' + HEATMAP_LEVEL_OPACITY[level] + ';"' : '') + '>'
+      + '<title>' + count + ' Q&A on ' + formatDate(d) + '</title></rect>';
+  }
+  const weeks = Math.ceil(i / 7);
+  const width = left + weeks * HEATMAP_STEP;
+  const height = top + 7 * HEATMAP_STEP;
+  let labels = '';
+  ['Mon', 'Wed', 'Fri'].forEach((label, n) => {
+    labels += '<text x="0" y="' + (top + n * 2 * HEATMAP_STEP + 9) + '">' + label + '</text>';
+  });
+
+  const total = days.reduce((sum, key) => sum + counts[key], 0);
+  let html = '<div class="heatmap-scroll">';
+  html += '<svg class="heatmap font-mono" width="' + width + '" height="' + height + '" role="img" aria-label="Q&A per day">' + months + labels + cells + '</svg>';
+  html += '</div>';
+  html += '<div class="mt-2 flex items-center justify-between text-xs font-mono" style="color: var(--text-muted);">';
+  html += '  <span>' + total + ' Q&A on ' + days.length + ' day' + (days.length === 1 ? '' : 's') + ' · click a day or drag across days to filter</span>';
+  html += '  <span class="flex items-center gap-1">Less';
+  for (let level = 0; level < HEATMAP_LEVEL_OPACITY.length; level++) {
+    html += '<span class="heatmap-swatch' + (level ? '' : ' empty') + '"' + (level ? ' style="opacity: ' + HEATMAP_LEVEL_OPACITY[level] + ';"' : '') + '></span>';
+  }
+  html += 'More</span>';
+  html += '</div>';
+  container.innerHTML = html;
+
+  const svg = container.querySelector('svg');
+  svg.addEventListener('mousedown', (e) => {
+    const day = e.target.dataset && e.target.dataset.day;
+    if (!day) return;
+    e.preventDefault(); // no text selection while dragging
+    heatmapDrag = { anchor: day, from: day, to: day };
+    highlightHeatmapRange(heatmapDrag);
+  });
+  svg.addEventListener('mouseover', (e) => {
+    const day = e.target.dataset && e.target.dataset.day;
+    if (!heatmapDrag || !day) return;
+    heatmapDrag.from = day < heatmapDrag.anchor ? day : heatmapDrag.anchor;
+    heatmapDrag.to = day < heatmapDrag.anchor ? heatmapDrag.anchor : day;
+    highlightHeatmapRange(heatmapDrag);
+  });
+  // Most recent weeks first, or wherever the user had scrolled to
+  const scroller = container.querySelector('.heatmap-scroll');
+  scroller.scrollLeft = scroller.scrollWidth - keepScroll;
+}
+
+function finishHeatmapDrag() {
+  if (!heatmapDrag) return;
+  const { from, to } = heatmapDrag;
+  heatmapDrag = null;
+  // Clicking the day that is already the filter clears it
+  const same = listState.from === from && listState.to === to;
+  updateListState(same ? { from: '', to: '' } : { from, to });
+}
+
+function highlightHeatmapRange(range) {
+  for (const rect of document.querySelectorAll('#activity-heatmap .heatmap-day')) {
+    const day = rect.dataset.day;
+    rect.classList.toggle('selected', !!range && day >= range.from && day <= range.to);
+  }
+}
+
+// ─── Lazy Session Data ────────────────────────────────────────────────────
+// With SESSION_CHUNK_BASE set (--out-dir, --serve) SESSION_DATA carries no
+// timelines. Each one loads from <base><id>.js when its transcript opens, and
+// conversation text for search from <base>search.js on the first query.
+const chunkLoads = {}; // url → Promise
+let searchText = null; // sessionId → [[kind, anchor, text], …]
+
+function loadChunk(url) {
+  // Plain script tags, so chunks also load from file:// where fetch() can't
+  if (!chunkLoads[url]) {
+    chunkLoads[url] = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = resolve;
+      script.onerror = () => {
+        delete chunkLoads[url];
+        script.remove();
+        reject(new Error('Could not load ' + url));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return chunkLoads[url];
+}
+
+function loadSessionTimeline(session) {
+  if (session.timeline) return Promise.resolve(session);
+  return loadChunk(SESSION_CHUNK_BASE + encodeURIComponent(session.id) + '.js').then(() => session);
+}
+
+function loadSearchText() {
+  // null when everything searchable is already in the page
+  if (!SESSION_CHUNK_BASE || searchText) return null;
+  return loadChunk(SESSION_CHUNK_BASE + 'search.js');
+}
+
+// Called by the chunk scripts
+function qaSessionLoaded(id, timeline) {
+  const session = SESSION_DATA.find(s => s.id === id);
+  if (session && !session.timeline) session.timeline = timeline;
+  searchIndex = null;
+}
+
+function qaSearchLoaded(entries) {
+  searchText = entries;
+  searchIndex = null;
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────
+// Inverted index over SESSION_DATA, built on first use. Each indexed text is
+// a "doc" that deep-links to the Q&A card or timeline entry it came from.
+const SEARCH_WEIGHTS = { title: 3, question: 3, answer: 2.5, option: 2, prompt: 1.5, message: 1, tool: 0.5 };
+const SEARCH_KIND_LABELS = { title: 'Session', question: 'Question', answer: 'Answer', option: 'Option', prompt: 'First prompt', message: 'Conversation', tool: 'Tool call' };
+const SEARCH_MAX_RESULTS = 50;
+let searchIndex = null;
+let searchTimer = null;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\\p{L}\\p{N}_]+/gu) || [];
+}
+
+function buildSearchIndex() {
+  const docs = [];
+  const postings = new Map(); // token → Map(docId → term frequency)
+
+  function addDoc(session, kind, text, anchor) {
+    if (!text) return;
+    const docId = docs.length;
+    docs.push({ sessionId: session.id, slug: session.slug, projectName: session.projectName, kind, text, anchor });
+    for (const token of tokenize(text)) {
+      let posting = postings.get(token);
+      if (!posting) {
+        posting = new Map();
+        postings.set(token, posting);
+      }
+      posting.set(docId, (posting.get(docId) || 0) + 1);
+    }
+  }
+
+  for (const session of SESSION_DATA) {
+    addDoc(session, 'title', session.slug, '');
+    addDoc(session, 'prompt', session.firstUserMessage, '');
+    for (const pair of session.qaPairs) {
+      const anchor = 'qa-' + pair.toolUseId;
+      for (const q of pair.questions) {
+        addDoc(session, 'question', [q.header, q.question].filter(Boolean).join(' — '), anchor);
+        for (const opt of q.options || []) {
+          addDoc(session, 'option', [opt.label, opt.description].filter(Boolean).join(' — '), anchor);
+        }
+        addDoc(session, 'answer', pair.answers[q.question], anchor);
+      }
+    }
+    const entries = session.timeline ? timelineSearchEntries(session.timeline) : (searchText && searchText[session.id]) || [];
+    for (const [kind, anchor, text] of entries) addDoc(session, kind, text, anchor);
+  }
+
+  return { docs, postings, tokens: [...postings.keys()].sort() };
+}
+
+${timelineSearchEntries.toString()}
+
+function prefixTokens(tokens, prefix) {
+  // Binary search for the first token >= prefix, then walk while it matches
+  let lo = 0;
+  let hi = tokens.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (tokens[mid] < prefix) lo = mid + 1; else hi = mid;
+  }
+  const matches = [];
+  for (let i = lo; i < tokens.length && tokens[i].startsWith(prefix); i++) matches.push(tokens[i]);
+  return matches;
+}
+
+function runSearch(query) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+  if (!searchIndex) searchIndex = buildSearchIndex();
+  const { docs, postings, tokens } = searchIndex;
+
+  // Every term must match; the last one as a prefix so results follow typing
+  let scores = null;
+  terms.forEach((term, t) => {
+    const matched = t === terms.length - 1 ? prefixTokens(tokens, term) : (postings.has(term) ? [term] : []);
+    const termScores = new Map();
+    for (const token of matched) {
+      const posting = postings.get(token);
+      const idf = Math.log(1 + docs.length / posting.size);
+      const exact = token === term ? 1 : 0.7;
+      for (const [docId, tf] of posting) {
+        termScores.set(docId, (termScores.get(docId) || 0) + (1 + Math.log(tf)) * idf * exact);
+      }
+    }
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const [docId, score] of scores) {
+        if (termScores.has(docId)) scores.set(docId, score + termScores.get(docId));
+        else scores.delete(docId);
+      }
+    }
+  });
+
+  const hits = [...scores].map(([docId, score]) => {
+    const doc = docs[docId];
+    return { doc, score: score * SEARCH_WEIGHTS[doc.kind] };
+  });
+  hits.sort((a, b) => b.score - a.score);
+
+  // The same text often appears twice (e.g. first prompt and first message)
+  const seen = new Set();
+  return hits.filter(hit => {
+    const key = hit.doc.sessionId + '\\u0000' + hit.doc.text;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function searchSnippet(text, terms, radius) {
+  // Window around the first match, with every term occurrence marked
+  const lower = text.toLowerCase();
+  let first = -1;
+  for (const term of terms) {
+    const idx = lower.indexOf(term);
+    if (idx !== -1 && (first === -1 || idx < first)) first = idx;
+  }
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, Math.max(first, 0) + radius * 2);
+  const slice = text.slice(start, end).replace(/\\s+/g, ' ');
+  const pattern = new RegExp('(' + terms.map(t => t.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&')).join('|') + ')', 'gi');
+  const marked = slice.split(pattern).map((part, i) => i % 2 === 1 ? '<mark>' + esc(part) + '</mark>' : esc(part)).join('');
+  return (start > 0 ? '…' : '') + marked + (end < text.length ? '…' : '');
+}
+
+function renderSearchResults(query) {
+  const panel = document.getElementById('search-results');
+  const terms = tokenize(query);
+  if (terms.length === 0) {
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+    return;
+  }
+  const pending = loadSearchText();
+  if (pending) {
+    pending.then(() => renderSearchResults(document.getElementById('search-input').value), () => {});
+  }
+  const hits = runSearch(query);
+  let html = '<div class="px-4 py-2 text-[11px] font-mono border-b" style="color: var(--text-muted); border-color: var(--border);">';
+  html += hits.length + (hits.length === 1 ? ' match' : ' matches');
+  if (hits.length > SEARCH_MAX_RESULTS) html += ' · showing top ' + SEARCH_MAX_RESULTS;
+  if (pending) html += ' · loading conversations…';
+  html += '</div>';
+  for (const hit of hits.slice(0, SEARCH_MAX_RESULTS)) {
+    const doc = hit.doc;
+    const href = '#session/' + doc.sessionId + (doc.anchor ? '/' + doc.anchor : '');
+    html += '<a href="' + escAttr(href) + '" class="search-hit no-underline" onclick="closeSearch()">';
+    html += '  <div class="flex items-center gap-2 mb-1 text-[11px] font-mono">';
+    html += '    <span style="color: var(--primary);">' + esc(doc.slug) + '</span>';
+    html += '    <span style="color: var(--text-muted);">' + esc(doc.projectName) + ' · ' + SEARCH_KIND_LABELS[doc.kind] + '</span>';
+    html += '  </div>';
+    html += '  <div class="text-sm font-serif leading-relaxed">' + searchSnippet(doc.text, terms, 70) + '</div>';
+    html += '</a>';
+  }
+  panel.innerHTML = html;
+  panel.classList.remove('hidden');
+}
+
+function closeSearch() {
+  document.getElementById('search-results').classList.add('hidden');
+}
+
+function revealAnchor(anchor) {
+  // Compared as data, not a selector: the anchor comes straight from the URL
+  const el = [...document.querySelectorAll('#session-detail [data-anchor]')].find(node => node.dataset.anchor === anchor);
+  if (!el) return;
+  // Open any collapsed subagent threads or abandoned branches around the target
+  for (let d = el.parentElement && el.parentElement.closest('details'); d; d = d.parentElement && d.parentElement.closest('details')) {
+    d.open = true;
+  }
+  const body = el.querySelector('.conv-body[data-truncated="true"]');
+  const btn = el.querySelector('.conv-expand-btn');
+  if (body && btn) toggleConvExpand(body.id, btn);
+  el.scrollIntoView({ block: 'center' });
+  el.classList.remove('search-target');
+  void el.offsetWidth; // restart the highlight animation
+  el.classList.add('search-target');
+}
+
+function initSearch() {
+  const input = document.getElementById('search-input');
+  const panel = document.getElementById('search-results');
+  if (!input) return;
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => renderSearchResults(input.value), 120);
+  });
+  input.addEventListener('focus', () => {
+    if (input.value.trim()) renderSearchResults(input.value);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      input.value = '';
+      closeSearch();
+      input.blur();
+    } else if (e.key === 'Enter') {
+      const first = panel.querySelector('.search-hit');
+      if (first) {
+        location.hash = first.getAttribute('href');
+        closeSearch();
+      }
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    const tag = (e.target.tagName || '').toLowerCase();
+    if (e.key === '/' && tag !== 'input' && tag !== 'textarea') {
+      e.preventDefault();
+      input.focus();
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.search-box')) closeSearch();
+  });
+}
+
+// ─── Stats Dashboard ──────────────────────────────────────────────────────
+// Everything is derived from SESSION_DATA's qaPairs, so the dashboard stays
+// current under --serve. Counts are per question, not per AskUserQuestion call.
+const STATS_TOP_N = 8;
+const STATS_CHART_WIDTH = 600;
+const STATS_SLOWEST_N = 10;
+
+function computeQAStats(sessions) {
+  const byProject = new Map();
+  const byWeek = new Map();
+  const headers = new Map();
+  const answerKinds = { picked: 0, custom: 0, mixed: 0 };
+  const firstOption = { chosen: 0, eligible: 0 };
+  const topSessions = [];
+  const waits = [];
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  let totalQuestions = 0;
+
+  for (const session of sessions) {
+    let sessionQuestions = 0;
+    for (const pair of session.qaPairs) {
+      const waitMs = responseTimeMs(pair);
+      if (waitMs !== null) waits.push({ ms: waitMs, session, pair });
+      const week = pair.askTimestamp ? weekStart(new Date(pair.askTimestamp)) : null;
+      pair.questions.forEach((question, qi) => {
+        sessionQuestions++;
+        bump(byProject, session.projectName);
+        if (week) bump(byWeek, week.getTime());
+        if (question.header) bump(headers, question.header.trim());
+
+        const options = question.options || [];
+        if (options.length === 0) return;
+        const { selectedOptions, customAnswer } = pair.selections[qi];
+        if (selectedOptions.length && customAnswer) answerKinds.mixed++;
+        else if (selectedOptions.length) answerKinds.picked++;
+        else if (customAnswer) answerKinds.custom++;
+        if (selectedOptions.length) {
+          firstOption.eligible++;
+          if (selectedOptions.includes(options[0].label)) firstOption.chosen++;
+        }
+      });
+    }
+    totalQuestions += sessionQuestions;
+    if (sessionQuestions) {
+      topSessions.push({ label: session.slug, value: sessionQuestions, href: '#session/' + session.id });
+    }
+  }
+
+  // Fill empty weeks so the chart's x axis is continuous
+  const weeks = [];
+  if (byWeek.size) {
+    const stamps = [...byWeek.keys()];
+    const last = Math.max(...stamps);
+    for (const d = new Date(Math.min(...stamps)); d.getTime() <= last; d.setDate(d.getDate() + 7)) {
+      weeks.push({ start: new Date(d), value: byWeek.get(d.getTime()) || 0 });
+    }
+  }
+
+  const ranked = (map) => [...map].map(([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+  return {
+    totalQuestions,
+    sessionCount: topSessions.length,
+    byProject: ranked(byProject),
+    weeks,
+    answerKinds,
+    firstOption,
+    headers: ranked(headers).slice(0, STATS_TOP_N),
+    topSessions: topSessions.sort((a, b) => b.value - a.value).slice(0, STATS_TOP_N),
+    waits: summarizeWaits(waits.map(w => w.ms)),
+    slowest: waits.sort((a, b) => b.ms - a.ms).slice(0, STATS_SLOWEST_N),
+  };
+}
+
+// Response time is measured per AskUserQuestion call: from the assistant
+// entry that asked to the tool_result that carried your answer.
+function responseTimeMs(pair) {
+  if (!pair.askTimestamp || !pair.answerTimestamp) return null;
+  const ms = new Date(pair.answerTimestamp) - new Date(pair.askTimestamp);
+  return ms >= 0 ? ms : null;
+}
+
+function summarizeWaits(waits) {
+  const sorted = waits.filter(ms => ms !== null).sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    median: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    total: sorted.reduce((sum, ms) => sum + ms, 0),
+  };
+}
+
+function percentile(sorted, p) {
+  // Nearest-rank, so the result is always an observed value
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function weekStart(date) {
+  // Weeks start on Monday, in local time
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return d;
+}
+
+function formatPercent(part, whole) {
+  return whole ? Math.round(part / whole * 100) + '%' : '—';
+}
+
+function renderStats(container) {
+  const stats = computeQAStats(SESSION_DATA);
+  const answered = stats.answerKinds.picked + stats.answerKinds.custom + stats.answerKinds.mixed;
+
+  let html = '';
+  html += '<div class="view-header px-6 py-4 fade-in">';
+  html += '  <div class="flex items-center gap-3">';
+  html += '    <a href="' + listHash() + '" class="back-link flex items-center gap-1 text-sm font-sans no-underline">';
+  html += '      <span class="material-symbols-outlined" style="font-size: 18px;">arrow_back</span>';
+  html += '      Sessions';
+  html += '    </a>';
+  html += '    <span style="color: var(--text-muted);">·</span>';
+  html += '    <span class="text-sm font-mono font-medium" style="color: var(--primary);">Stats</span>';
+  html += '  </div>';
+  html += '</div>';
+
+  html += '<div class="px-6 py-8 fade-in">';
+  if (stats.totalQuestions === 0) {
+    html += '<p class="text-sm font-serif italic" style="color: var(--text-muted);">No questions to analyze yet.</p></div>';
+    container.innerHTML = html;
+    return;
+  }
+
+  html += '<div class="stats-tiles mb-8">';
+  html += renderStatTile(stats.totalQuestions, 'questions asked');
+  html += renderStatTile(stats.sessionCount, 'sessions with Q&A');
+  html += renderStatTile(stats.byProject.length, 'projects');
+  html += renderStatTile(formatPercent(stats.answerKinds.custom + stats.answerKinds.mixed, answered), 'answers with custom text');
+  html += renderStatTile(formatPercent(stats.firstOption.chosen, stats.firstOption.eligible), 'picked the first option');
+  html += '</div>';
+
+  if (stats.waits.count) {
+    html += renderStatsCard('Waiting on you', '<div class="stats-tiles">'
+      + renderStatTile(formatDuration(stats.waits.median), 'median response time')
+      + renderStatTile(formatDuration(stats.waits.p90), 'p90 response time')
+      + renderStatTile(formatDuration(stats.waits.total), 'total time blocked on you')
+      + '</div>', 'From each question being asked to your answer');
+    html += renderStatsCard('Slowest questions', renderSlowestList(stats.slowest));
+  }
+  html += renderStatsCard('Questions per week', renderWeekChart(stats.weeks));
+  html += renderStatsCard('Questions per project', renderBarChart(stats.byProject));
+  html += renderStatsCard('How you answered', renderShareBar([
+    { label: 'Picked an option', value: stats.answerKinds.picked, color: 'var(--primary)' },
+    { label: 'Option plus custom text', value: stats.answerKinds.mixed, color: 'var(--amber-light)' },
+    { label: 'Custom response', value: stats.answerKinds.custom, color: 'var(--text-muted)' },
+  ]), 'Questions that offered options');
+  html += renderStatsCard('First-listed option', renderShareBar([
+    { label: 'Chose the first option', value: stats.firstOption.chosen, color: 'var(--primary)' },
+    { label: 'Chose something else', value: stats.firstOption.eligible - stats.firstOption.chosen, color: 'var(--text-muted)' },
+  ]), 'Claude usually lists its recommendation first');
+  if (stats.headers.length) {
+    html += renderStatsCard('Most common question categories', renderBarChart(stats.headers));
+  }
+  html += renderStatsCard('Sessions with the most questions', renderBarChart(stats.topSessions));
+  html += '</div>';
+
+  container.innerHTML = html;
+}
+
+function renderStatTile(value, label) {
+  return '<div class="stats-tile px-4 py-3 rounded-sm">'
+    + '<div class="text-2xl font-mono font-bold" style="color: var(--primary);">' + esc(String(value)) + '</div>'
+    + '<div class="text-xs font-sans mt-1" style="color: var(--text-muted);">' + esc(label) + '</div>'
+    + '</div>';
+}
+
+function renderStatsCard(title, body, note) {
+  let html = '<section class="stats-card mb-6 px-5 py-4 rounded-sm">';
+  html += '<h2 class="text-sm font-mono uppercase tracking-widest mb-1" style="color: var(--text-muted);">' + esc(title) + '</h2>';
+  if (note) html += '<p class="text-xs font-serif italic mb-2" style="color: var(--text-muted);">' + esc(note) + '</p>';
+  html += '<div class="mt-3">' + body + '</div>';
+  html += '</section>';
+  return html;
+}
+
+function renderSlowestList(waits) {
+  let html = '<div class="flex flex-col">';
+  for (const { ms, session, pair } of waits) {
+    const question = pair.questions[0] ? pair.questions[0].question : '';
+    html += '<a href="#session/' + escAttr(session.id) + '/qa-' + escAttr(pair.toolUseId) + '" class="stats-row flex items-start gap-4 px-2 py-2 no-underline" style="color: inherit;">';
+    html += '  <span class="text-sm font-mono font-bold flex-shrink-0 w-[80px]" style="color: var(--primary);">' + formatDuration(ms) + '</span>';
+    html += '  <span class="flex-1 min-w-0">';
+    html += '    <span class="block text-sm font-serif italic line-clamp-2" style="color: var(--text-primary);">' + esc(question) + '</span>';
+    html += '    <span class="block text-xs font-mono mt-1" style="color: var(--text-muted);">' + esc(session.slug) + ' · ' + esc(session.projectName) + ' · ' + formatDate(pair.askTimestamp) + '</span>';
+    html += '  </span>';
+    html += '</a>';
+  }
+  return html + '</div>';
+}
+
+function renderBarChart(rows) {
+  // Horizontal bars: label column, bar, value; rows with an href become links
+  const rowHeight = 26;
+  const labelWidth = 190;
+  const barWidth = STATS_CHART_WIDTH - labelWidth - 50;
+  const max = Math.max(1, ...rows.map(r => r.value));
+  let svg = '<svg class="stats-chart font-mono" viewBox="0 0 ' + STATS_CHART_WIDTH + ' ' + rows.length * rowHeight + '" width="100%" role="img">';
+  rows.forEach((row, i) => {
+    const y = i * rowHeight;
+    const width = Math.max(2, Math.round(row.value / max * barWidth));
+    const label = row.label.length > 28 ? row.label.slice(0, 27) + '…' : row.label;
+    let bar = '<title>' + esc(row.label) + ': ' + row.value + '</title>';
+    bar += '<text x="' + (labelWidth - 10) + '" y="' + (y + 17) + '" text-anchor="end">' + esc(label) + '</text>';
+    bar += '<rect x="' + labelWidth + '" y="' + (y + 5) + '" width="' + width + '" height="16" rx="2" style="fill: var(--primary);"/>';
+    bar += '<text x="' + (labelWidth + width + 6) + '" y="' + (y + 17) + '">' + row.value + '</text>';
+    svg += row.href ? '<a href="' + escAttr(row.href) + '">' + bar + '</a>' : '<g>' + bar + '</g>';
+  });
+  return svg + '</svg>';
+}
+
+function renderWeekChart(weeks) {
+  // Columns per week; label roughly every sixth week so the axis stays legible
+  const height = 140;
+  const axis = 20;
+  const max = Math.max(1, ...weeks.map(w => w.value));
+  const slot = STATS_CHART_WIDTH / Math.max(weeks.length, 1);
+  const labelEvery = Math.max(1, Math.ceil(weeks.length / 6));
+  let svg = '<svg class="stats-chart font-mono" viewBox="0 0 ' + STATS_CHART_WIDTH + ' ' + (height + axis) + '" width="100%" role="img">';
+  svg += '<line x1="0" y1="' + height + '" x2="' + STATS_CHART_WIDTH + '" y2="' + height + '" style="stroke: var(--border);"/>';
+  weeks.forEach((week, i) => {
+    const label = week.start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const barHeight = Math.round(week.value / max * (height - 16));
+    const x = i * slot + slot * 0.15;
+    svg += '<g><title>Week of ' + label + ': ' + week.value + '</title>';
+    svg += '<rect x="' + x.toFixed(1) + '" y="' + (height - barHeight) + '" width="' + (slot * 0.7).toFixed(1) + '" height="' + barHeight + '" rx="2" style="fill: var(--primary);"/>';
+    svg += '</g>';
+    if (i % labelEvery === 0) {
+      svg += '<text x="' + (i * slot + slot / 2).toFixed(1) + '" y="' + (height + 14) + '" text-anchor="middle">' + label + '</text>';
+    }
+  });
+  return svg + '</svg>';
+}
+
+function renderShareBar(segments) {
+  // One stacked bar plus a legend with counts and percentages
+  const total = segments.reduce((sum, seg) => sum + seg.value, 0);
+  let svg = '<svg class="stats-chart" viewBox="0 0 ' + STATS_CHART_WIDTH + ' 20" width="100%" role="img" preserveAspectRatio="none">';
+  let x = 0;
+  for (const seg of segments) {
+    if (!seg.value) continue;
+    const width = seg.value / total * STATS_CHART_WIDTH;
+    svg += '<rect x="' + x.toFixed(1) + '" y="0" width="' + width.toFixed(1) + '" height="20" style="fill: ' + seg.color + ';"><title>' + esc(seg.label) + ': ' + seg.value + '</title></rect>';
+    x += width;
+  }
+  if (!total) svg += '<rect x="0" y="0" width="' + STATS_CHART_WIDTH + '" height="20" style="fill: var(--bg-hover);"/>';
+  svg += '</svg>';
+
+  let legend = '<div class="flex flex-wrap gap-4 mt-3 text-xs font-sans" style="color: var(--text-secondary);">';
+  for (const seg of segments) {
+    legend += '<span class="flex items-center gap-1.5"><span class="stats-swatch" style="background: ' + seg.color + ';"></span>'
+      + esc(seg.label) + ' <span class="font-mono" style="color: var(--text-muted);">' + seg.value + ' · ' + formatPercent(seg.value, total) + '</span></span>';
+  }
+  return svg + legend + '</div>';
+}
+
+// ─── Recurring Questions ──────────────────────────────────────────────────
+// Clusters are recomputed from SESSION_DATA on demand (and after live
+// updates), so the view never ships with the page.
+const RECURRING_ANSWER_COLORS = ['var(--primary)', 'var(--amber-light)', 'var(--text-secondary)'];
+let recurringClusters = null;
+
+${clusterQuestions.toString()}
+
+function showRecurring(onlySame) {
+  showView('recurring-view');
+  renderRecurring(document.getElementById('recurring-view'), onlySame);
+  window.scrollTo(0, 0);
+}
+
+function renderRecurring(container, onlySame) {
+  if (!recurringClusters) recurringClusters = clusterQuestions(SESSION_DATA);
+  const clusters = onlySame ? recurringClusters.filter(c => c.alwaysSame) : recurringClusters;
+  const sameCount = recurringClusters.filter(c => c.alwaysSame).length;
+
+  let html = '';
+  html += '<div class="view-header px-6 py-4 fade-in">';
+  html += '  <div class="flex items-center gap-3">';
+  html += '    <a href="' + listHash() + '" class="back-link flex items-center gap-1 text-sm font-sans no-underline">';
+  html += '      <span class="material-symbols-outlined" style="font-size: 18px;">arrow_back</span>';
+  html += '      Sessions';
+  html += '    </a>';
+  html += '    <span style="color: var(--text-muted);">·</span>';
+  html += '    <span class="text-sm font-mono font-medium" style="color: var(--primary);">Recurring questions</span>';
+  html += '  </div>';
+  html += '</div>';
+
+  html += '<div class="px-6 py-8 fade-in">';
+  if (!recurringClusters.length) {
+    html += '<p class="text-sm font-serif italic" style="color: var(--text-muted);">No question has come up in more than one session yet.</p></div>';
+    container.innerHTML = html;
+    return;
+  }
+
+  html += '<div class="stats-tiles mb-8">';
+  html += renderStatTile(recurringClusters.length, 'recurring questions');
+  html += renderStatTile(recurringClusters.reduce((sum, c) => sum + c.count, 0), 'times asked');
+  html += renderStatTile(sameCount, 'always answered the same');
+  html += '</div>';
+
+  html += '<div class="flex flex-wrap items-center gap-2 mb-6">';
+  html += '  <a href="#recurring" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm no-underline' + (onlySame ? '' : ' active') + '">All</a>';
+  html += '  <a href="#recurring/same" class="filter-btn px-3 py-1 text-xs font-mono rounded-sm no-underline' + (onlySame ? ' active' : '') + '" title="Questions that got one answer every time">Always the same answer</a>';
+  html += '  <span class="text-xs font-serif italic ml-2" style="color: var(--text-muted);">Similar questions grouped across sessions by wording</span>';
+  html += '</div>';
+
+  if (!clusters.length) {
+    html += '<p class="text-sm font-serif italic" style="color: var(--text-muted);">No recurring question has been answered the same way every time.</p>';
+  }
+  for (const cluster of clusters) html += renderRecurringCluster(cluster);
+  html += '</div>';
+
+  container.innerHTML = html;
+}
+
+function renderRecurringCluster(cluster) {
+  let html = '<section class="stats-card mb-6 px-5 py-4 rounded-sm">';
+  html += '<div class="flex items-start gap-4">';
+  html += '  <h2 class="flex-1 min-w-0 text-lg font-serif italic" style="color: var(--text-primary);">' + esc(cluster.question) + '</h2>';
+  if (cluster.alwaysSame) {
+    html += '  <span class="flex items-center gap-1 flex-shrink-0 text-xs font-mono" style="color: var(--primary);" title="Candidate for a CLAUDE.md instruction">';
+    html += '    <span class="material-symbols-outlined" style="font-size: 14px;">check</span>Always the same';
+    html += '  </span>';
+  }
+  html += '</div>';
+  html += '<p class="text-xs font-mono mt-1" style="color: var(--text-muted);">Asked ' + cluster.count + ' times in ' + cluster.sessionCount + ' sessions · ' + cluster.projects.map(esc).join(', ') + '</p>';
+
+  html += '<div class="mt-4">';
+  if (cluster.answered) {
+    const segments = cluster.answers.slice(0, RECURRING_ANSWER_COLORS.length).map((entry, i) => ({ label: entry.answer, value: entry.count, color: RECURRING_ANSWER_COLORS[i] }));
+    const other = cluster.answers.slice(RECURRING_ANSWER_COLORS.length).reduce((sum, entry) => sum + entry.count, 0);
+    if (other) segments.push({ label: 'Other answers', value: other, color: 'var(--border)' });
+    html += renderShareBar(segments);
+  } else {
+    html += '<p class="text-sm font-serif italic" style="color: var(--text-muted);">Never answered.</p>';
+  }
+  html += '</div>';
+  if (cluster.alwaysSame) {
+    html += '<p class="text-xs font-serif italic mt-3" style="color: var(--text-secondary);">Candidate for CLAUDE.md: say it once there and Claude won\\'t need to ask again.</p>';
+  }
+
+  html += '<details class="thread mt-3">';
+  html += '  <summary class="text-xs font-mono cursor-pointer" style="color: var(--text-muted);">' + cluster.count + ' occurrences</summary>';
+  html += '  <div class="flex flex-col mt-2">';
+  for (const item of cluster.occurrences) {
+    html += '<a href="#session/' + escAttr(item.sessionId) + '/qa-' + escAttr(item.toolUseId) + '" class="stats-row flex items-start gap-4 px-2 py-2 no-underline" style="color: inherit;">';
+    html += '  <span class="text-sm font-mono font-bold flex-shrink-0 w-[140px] truncate" style="color: var(--primary);">' + esc(item.answer || '—') + '</span>';
+    html += '  <span class="flex-1 min-w-0">';
+    html += '    <span class="block text-sm font-serif italic line-clamp-2" style="color: var(--text-primary);">' + esc(item.question) + '</span>';
+    html += '    <span class="block text-xs font-mono mt-1" style="color: var(--text-muted);">' + esc(item.sessionName) + ' · ' + esc(item.project) + ' · ' + formatDate(item.askedAt) + '</span>';
+    html += '  </span>';
+    html += '</a>';
+  }
+  html += '  </div>';
+  html += '</details>';
+  html += '</section>';
+  return html;
+}
+
+// ─── Live Updates (--serve) ───────────────────────────────────────────────
+function initLiveUpdates() {
+  if (!LIVE_UPDATES || !window.EventSource) return;
+  const source = new EventSource('/events');
+  const indicator = document.getElementById('live-indicator');
+  source.onopen = () => { if (indicator) indicator.style.opacity = '1'; };
+  source.onerror = () => { if (indicator) indicator.style.opacity = '0.4'; };
+  source.addEventListener('session', (e) => applySessionUpdate(JSON.parse(e.data)));
+}
+
+function applySessionUpdate(update) {
+  const idx = SESSION_DATA.findIndex(s => s.id === update.session.id);
+  if (idx === -1) {
+    SESSION_DATA.unshift(update.session);
+  } else {
+    SESSION_DATA[idx] = update.session;
+  }
+  searchIndex = null; // rebuilt on the next query
+  recurringClusters = null;
+  document.getElementById('session-list').innerHTML = update.listHTML;
+  renderSessionList();
+  document.getElementById('header-stats').textContent = update.statsText;
+
+  // Re-render the open transcript in place, keeping the active filter
+  const detail = document.getElementById('session-detail');
+  // Parsed like the router, so deep links (#session/<id>/<anchor>) count too
+  const openId = location.hash.startsWith('#session/') ? location.hash.replace('#session/', '').split('/')[0] : '';
+  if (openId === update.session.id && detail._session) {
+    const filter = currentFilter;
+    renderSessionDetail(update.session, detail);
+    applyTruncation();
+    if (filter !== 'all') setFilter(filter);
+  }
+  if (location.hash === '#stats') renderStats(document.getElementById('stats-view'));
+  if (location.hash.startsWith('#recurring')) renderRecurring(document.getElementById('recurring-view'), location.hash === '#recurring/same');
+  if (update.newQACount > 0) {
+    showLiveToast(update.session, update.newQACount);
+  }
+}
+
+function showLiveToast(session, count) {
+  let toast = document.getElementById('live-toast');
+  if (!toast) {
+    toast = document.createElement('a');
+    toast.id = 'live-toast';
+    toast.className = 'live-toast text-xs font-sans no-underline';
+    document.body.appendChild(toast);
+  }
+  toast.href = '#session/' + session.id;
+  toast.innerHTML = '<strong>' + count + ' new Q&A</strong> in ' + esc(session.slug);
+  toast.classList.add('visible');
+  clearTimeout(toast._timer);
+  toast._timer = setTimeout(() => toast.classList.remove('visible'), 6000);
+}
+
+// ─── Init ─────────────────────────────────────────────────────────────────
+document.addEventListener('mouseup', finishHeatmapDrag);
+window.addEventListener('scroll', scheduleVisibleRows, { passive: true });
+window.addEventListener('resize', scheduleVisibleRows);
+initRouter();
+initSearch();
+initLiveUpdates();
+`;
+}
+
+// ─── Offline Assets ─────────────────────────────────────────────────────────
+// With --offline the page is styled without the Tailwind CDN: only the
+// utilities that appear in the output are generated, icons become inline
+// SVG, and fonts fall back to local system stacks.
+
+// Material Icons (Apache 2.0), 24×24 viewBox
+const ICON_PATHS = {
+  arrow_back: 'M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z',
+  arrow_upward: 'M4 12l1.41 1.41L11 7.83V20h2V7.83l5.58 5.59L20 12l-8-8-8 8z',
+  bar_chart: 'M5 9.2h3V19H5V9.2zM10.6 5h2.8v14h-2.8V5zm5.6 8H19v6h-2.8v-6z',
+  check: 'M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z',
+  chevron_right: 'M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z',
+  content_copy: 'M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z',
+  dark_mode: 'M12 3c-4.97 0-9 4.03-9 9s4.03 9 9 9 9-4.03 9-9c0-.46-.04-.92-.1-1.36-.98 1.37-2.58 2.26-4.4 2.26-2.98 0-5.4-2.42-5.4-5.4 0-1.81.89-3.42 2.26-4.4-.44-.06-.9-.1-1.36-.1z',
+  download: 'M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z',
+  expand_less: 'M12 8l-6 6 1.41 1.41L12 10.83l4.59 4.58L18 14z',
+  expand_more: 'M16.59 8.59L12 13.17 7.41 8.59 6 10l6 6 6-6z',
+  folder: 'M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z',
+  forum: 'M15 4v7H5.17L4 12.17V4h11m1-2H3c-.55 0-1 .45-1 1v14l4-4h10c.55 0 1-.45 1-1V3c0-.55-.45-1-1-1zm5 4h-2v9H6v2c0 .55.45 1 1 1h11l4 4V7c0-.55-.45-1-1-1z',
+  lock: 'M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z',
+  light_mode: 'M12 7c-2.76 0-5 2.24-5 5s2.24 5 5 5 5-2.24 5-5-2.24-5-5-5zM2 13h2c.55 0 1-.45 1-1s-.45-1-1-1H2c-.55 0-1 .45-1 1s.45 1 1 1zm18 0h2c.55 0 1-.45 1-1s-.45-1-1-1h-2c-.55 0-1 .45-1 1s.45 1 1 1zM11 2v2c0 .55.45 1 1 1s1-.45 1-1V2c0-.55-.45-1-1-1s-1 .45-1 1zm0 18v2c0 .55.45 1 1 1s1-.45 1-1v-2c0-.55-.45-1-1-1s-1 .45-1 1zM5.99 4.58c-.39-.39-1.03-.39-1.41 0-.39.39-.39 1.03 0 1.41l1.06 1.06c.39.39 1.03.39 1.41 0s.39-1.03 0-1.41L5.99 4.58zm12.37 12.37c-.39-.39-1.03-.39-1.41 0-.39.39-.39 1.03 0 1.41l1.06 1.06c.39.39 1.03.39 1.41 0 .39-.39.39-1.03 0-1.41l-1.06-1.06zm1.06-10.96c.39-.39.39-1.03 0-1.41-.39-.39-1.03-.39-1.41 0l-1.06 1.06c-.39.39-.39 1.03 0 1.41s1.03.39 1.41 0l1.06-1.06zM7.05 18.36c.39-.39.39-1.03 0-1.41-.39-.39-1.03-.39-1.41 0l-1.06 1.06c-.39.39-.39 1.03 0 1.41s1.03.39 1.41 0l1.06-1.06z',
+  question_answer: 'M21 6h-2v9H6v2c0 .55.45 1 1 1h11l4 4V7c0-.55-.45-1-1-1zm-4 6V3c0-.55-.45-1-1-1H3c-.55 0-1 .45-1 1v14l4-4h10c.55 0 1-.45 1-1z',
+  repeat: 'M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z',
+  search: 'M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z',
+};
+
+// Tailwind utilities the page uses, minus the spacing scale handled below
+const STATIC_UTILITIES = {
+  'hidden': 'display:none',
+  'block': 'display:block',
+  'flex': 'display:flex',
+  'inline-flex': 'display:inline-flex',
+  'grid': 'display:grid',
+  'flex-1': 'flex:1 1 0%',
+  'flex-col': 'flex-direction:column',
+  'flex-wrap': 'flex-wrap:wrap',
+  'flex-shrink-0': 'flex-shrink:0',
+  'items-center': 'align-items:center',
+  'items-start': 'align-items:flex-start',
+  'justify-between': 'justify-content:space-between',
+  'justify-center': 'justify-content:center',
+  'justify-end': 'justify-content:flex-end',
+  'relative': 'position:relative',
+  'absolute': 'position:absolute',
+  'sticky': 'position:sticky',
+  'z-50': 'z-index:50',
+  'mx-auto': 'margin-left:auto;margin-right:auto',
+  'min-w-0': 'min-width:0',
+  'min-h-screen': 'min-height:100vh',
+  'h-screen': 'height:100vh',
+  'overflow-y-scroll': 'overflow-y:scroll',
+  'truncate': 'overflow:hidden;text-overflow:ellipsis;white-space:nowrap',
+  'line-clamp-2': 'overflow:hidden;display:-webkit-box;-webkit-box-orient:vertical;-webkit-line-clamp:2',
+  'whitespace-pre-line': 'white-space:pre-line',
+  'border': 'border-width:1px',
+  'border-x': 'border-left-width:1px;border-right-width:1px',
+  'border-y': 'border-top-width:1px;border-bottom-width:1px',
+  'border-t': 'border-top-width:1px',
+  'border-b': 'border-bottom-width:1px',
+  'border-l': 'border-left-width:1px',
+  'border-l-2': 'border-left-width:2px',
+  'border-dashed': 'border-style:dashed',
+  'rounded-sm': 'border-radius:2px',
+  'rounded-md': 'border-radius:4px',
+  'rounded-full': 'border-radius:9999px',
+  'shadow-sm': 'box-shadow:0 1px 2px 0 rgb(0 0 0 / 0.05)',
+  'backdrop-blur-sm': 'backdrop-filter:blur(4px)',
+  'opacity-30': 'opacity:0.3',
+  'opacity-80': 'opacity:0.8',
+  'font-serif': `font-family:${cssFontStack(FONT_STACKS.serif)}`,
+  'font-sans': `font-family:${cssFontStack(FONT_STACKS.sans)}`,
+  'font-mono': `font-family:${cssFontStack(FONT_STACKS.mono)}`,
+  'font-medium': 'font-weight:500',
+  'font-semibold': 'font-weight:600',
+  'font-bold': 'font-weight:700',
+  'italic': 'font-style:italic',
+  'uppercase': 'text-transform:uppercase',
+  'text-xs': 'font-size:0.75rem;line-height:1rem',
+  'text-sm': 'font-size:0.875rem;line-height:1.25rem',
+  'text-base': 'font-size:1rem;line-height:1.5rem',
+  'text-lg': 'font-size:1.125rem;line-height:1.75rem',
+  'text-2xl': 'font-size:1.5rem;line-height:2rem',
+  'text-4xl': 'font-size:2.25rem;line-height:2.5rem',
+  'text-white': 'color:#fff',
+  'leading-none': 'line-height:1',
+  'leading-relaxed': 'line-height:1.625',
+  'tracking-tight': 'letter-spacing:-0.025em',
+  'tracking-wider': 'letter-spacing:0.05em',
+  'tracking-widest': 'letter-spacing:0.1em',
+  'no-underline': 'text-decoration-line:none',
+  'underline': 'text-decoration-line:underline',
+  'antialiased': '-webkit-font-smoothing:antialiased;-moz-osx-font-smoothing:grayscale',
+  'cursor-pointer': 'cursor:pointer',
+  'select-all': 'user-select:all',
+  'select-none': 'user-select:none',
+  'transition-colors': 'transition-property:color,background-color,border-color,text-decoration-color,fill,stroke;transition-timing-function:cubic-bezier(0.4,0,0.2,1);transition-duration:150ms',
+  'transition-opacity': 'transition-property:opacity;transition-timing-function:cubic-bezier(0.4,0,0.2,1);transition-duration:150ms',
+};
+
+const SPACING_PROPS = {
+  p: ['padding'], px: ['padding-left', 'padding-right'], py: ['padding-top', 'padding-bottom'],
+  pt: ['padding-top'], pr: ['padding-right'], pb: ['padding-bottom'], pl: ['padding-left'],
+  m: ['margin'], mx: ['margin-left', 'margin-right'], my: ['margin-top', 'margin-bottom'],
+  mt: ['margin-top'], mr: ['margin-right'], mb: ['margin-bottom'], ml: ['margin-left'],
+  gap: ['gap'], w: ['width'], h: ['height'], 'max-w': ['max-width'],
+  top: ['top'], right: ['right'], bottom: ['bottom'], left: ['left'],
+};
+
+// Minimal subset of Tailwind's preflight reset
+const PREFLIGHT_CSS = `*,::before,::after{box-sizing:border-box;border-width:0;border-style:solid;border-color:#e5e7eb}
+html{line-height:1.5;-webkit-text-size-adjust:100%;font-family:${cssFontStack(FONT_STACKS.sans)}}
+body{margin:0;line-height:inherit}
+h1,h2,h3,h4,h5,h6{font-size:inherit;font-weight:inherit}
+a{color:inherit;text-decoration:inherit}
+b,strong{font-weight:bolder}
+code,kbd,samp,pre{font-family:${cssFontStack(FONT_STACKS.mono)};font-size:1em}
+button,input,select,textarea{font-family:inherit;font-size:100%;font-weight:inherit;line-height:inherit;color:inherit;margin:0;padding:0}
+button{background-color:transparent;background-image:none;cursor:pointer;text-transform:none}
+blockquote,dl,dd,h1,h2,h3,h4,h5,h6,hr,figure,p,pre{margin:0}
+ol,ul{list-style:none;margin:0;padding:0}
+img,video{display:block;max-width:100%;height:auto}
+[hidden]{display:none}
+.material-symbols-outlined{display:inline-flex;align-items:center;justify-content:center;width:1em;height:1em;line-height:1;vertical-align:middle}
+.material-symbols-outlined svg{display:block;width:1em;height:1em;fill:currentColor}`;
+
+function generateOfflineHead() {
+  // Filled in by inlineOfflineAssets once the full page is known
+  return '<style>/*__OFFLINE_UTILITIES__*/</style>';
+}
+
+function inlineOfflineAssets(html) {
+  // Swap icon ligatures for SVG first, then generate CSS for every utility
+  // class token that appears anywhere in the page (markup or client JS)
+  const withIcons = html.replace(
+    /<span class="material-symbols-outlined([^"]*)"([^>]*)>([a-z_]+)<\/span>/g,
+    (match, classes, attrs, name) => {
+      if (!ICON_PATHS[name]) return match;
+      return `<span class="material-symbols-outlined${classes}"${attrs} data-icon="${name}"><svg viewBox="0 0 24 24" aria-hidden="true"><path d="${ICON_PATHS[name]}"/></svg></span>`;
+    }
+  );
+  const css = PREFLIGHT_CSS + '\n' + buildUtilityCSS(withIcons);
+  return withIcons.replace('/*__OFFLINE_UTILITIES__*/', () => css);
+}
+
+function buildUtilityCSS(html) {
+  const tokens = new Set(html.match(/[a-z0-9:.\[\]%-]+/gi));
+  const base = [];
+  const hover = [];
+  const md = [];
+  for (const token of [...tokens].sort()) {
+    const [variant, cls] = token.includes(':') ? token.split(':', 2) : ['', token];
+    const decl = resolveUtility(cls);
+    if (!decl) continue;
+    const selector = '.' + token.replace(/([:.\[\]%])/g, '\\$1');
+    if (variant === '') base.push(`${selector}{${decl}}`);
+    else if (variant === 'hover') hover.push(`${selector}:hover{${decl}}`);
+    else if (variant === 'md') md.push(`${selector}{${decl}}`);
+  }
+  let css = base.concat(hover).join('\n');
+  if (md.length) css += `\n@media (min-width:768px){\n${md.join('\n')}\n}`;
+  return css;
+}
+
+function resolveUtility(cls) {
+  if (STATIC_UTILITIES[cls]) return STATIC_UTILITIES[cls];
+  // Spacing scale (e.g. px-4, -mx-8, gap-1.5, h-px) and arbitrary values (e.g. w-[60px])
+  const m = /^(-?)([a-z]+(?:-w)?)-(\d+(?:\.5)?|px|full|auto|\[\d+(?:px|rem|%)\])$/.exec(cls);
+  if (m && SPACING_PROPS[m[2]]) {
+    let value;
+    if (m[3] === 'px') value = '1px';
+    else if (m[3] === 'full') value = '100%';
+    else if (m[3] === 'auto') value = 'auto';
+    else if (m[3].startsWith('[')) value = m[3].slice(1, -1);
+    else value = (Number(m[3]) / 4) + 'rem';
+    if (m[1]) value = `calc(${value} * -1)`;
+    return SPACING_PROPS[m[2]].map(prop => `${prop}:${value}`).join(';');
+  }
+  const text = /^text-\[(\d+px)\]$/.exec(cls);
+  if (text) return `font-size:${text[1]}`;
+  return null;
+}
+
+function cssFontStack(fonts) {
+  return fonts.map(f => /^[a-z-]+$/.test(f) ? f : `"${f}"`).join(',');
+}
+
+// ─── Live Server (--serve) ───────────────────────────────────────────────────
+// Serves the viewer over localhost and watches the projects directory. When a
+// transcript changes it is reparsed, and sessions with new Q&A are pushed to
+// open pages as server-sent events.
+
+function startLiveServer(allSessions, options) {
+  const sessions = new Map(allSessions.map(s => [s.filePath, s]));
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/') {
+      const viewModel = buildViewModel([...sessions.values()]);
+      const html = renderHTML(viewModel, { offline: options.offline, live: true, chunkBase: '/sessions/' });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(html);
+    } else if (req.method === 'GET' && url.pathname === '/sessions/search.js') {
+      const searchText = {};
+      for (const session of sessions.values()) searchText[session.meta.sessionId] = timelineSearchEntries(session.timeline);
+      res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(`qaSearchLoaded(${JSON.stringify(searchText)});\n`);
+    } else if (req.method === 'GET' && url.pathname.startsWith('/sessions/') && url.pathname.endsWith('.js')) {
+      // Compare the raw segment with each id encoded as the page requests it,
+      // so request data is never decoded
+      const segment = url.pathname.slice('/sessions/'.length, -'.js'.length);
+      if (/%(?![0-9a-f]{2})/i.test(segment)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+      }
+      const session = [...sessions.values()].find(s => encodeURIComponent(s.meta.sessionId) === segment);
+      if (!session) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(`qaSessionLoaded(${JSON.stringify(session.meta.sessionId)}, ${JSON.stringify(session.timeline)});\n`);
+    } else if (req.method === 'GET' && url.pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+      res.write('retry: 2000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+
+  // Keep idle connections from being dropped by proxies and browsers
+  const heartbeat = setInterval(() => {
+    for (const client of clients) client.write(': ping\n\n');
+  }, 30000);
+
+  function onSessionFileChanged(filePath) {
+    const fileInfo = fileInfoFromPath(filePath, listLegacyAgentFiles(path.dirname(filePath), { rebuild: options.rebuildCache }));
+    saveAgentParentCache();
+    if (!fs.existsSync(filePath) || !isSessionFileInScope(fileInfo, options)) return;
+
+    let result;
+    try {
+      result = parseSessionFile(fileInfo, options);
+    } catch (e) {
+      warn(`   Skipped ${fileInfo.sessionId}: ${e.message}`);
+      return;
+    }
+    if (result.stats.lines === 0) return;
+
+    const previous = sessions.get(filePath);
+    const session = { meta: result.meta, qaPairs: result.qaPairs, timeline: result.timeline, filePath };
+    if (options.redactor) redactSession(session, options.redactor);
+    sessions.set(filePath, session);
+
+    const knownIds = new Set((previous?.qaPairs || []).map(p => p.toolUseId));
+    const newQACount = session.qaPairs.filter(p => !knownIds.has(p.toolUseId)).length;
+    if (newQACount === 0) return;
+
+    log(`   ${newQACount} new Q&A in ${session.meta.slug}`);
+    const viewModel = buildViewModel([...sessions.values()]);
+    const payload = JSON.stringify({
+      session: toClientSession(session),
+      newQACount,
+      listHTML: generateSessionListHTML(viewModel),
+      statsText: formatHeaderStats(viewModel),
+    });
+    for (const client of clients) client.write(`event: session\ndata: ${payload}\n\n`);
+  }
+
+  const projectRoots = resolveProjectRoots(options.sources);
+  const watchers = watchSessionFiles(projectRoots, onSessionFileChanged);
+
+  server.on('error', (e) => {
+    if (e.code === 'EADDRINUSE') {
+      logError(`Port ${options.port} is already in use. Pick another with --port.`);
+    } else {
+      logError(`Server error: ${e.message}`);
+    }
+    process.exit(EXIT_CODES.error);
+  });
+
+  // Bind to loopback only: transcripts must not be reachable from the network
+  server.listen(options.port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    log(`\n📡 Serving at ${url}`);
+    log(`   Watching ${projectRoots.join(', ')} for new Q&A (Ctrl+C to stop)`, { event: 'serving', url });
+    if (options.open) openInBrowser(url);
+  });
+
+  process.on('SIGINT', () => {
+    clearInterval(heartbeat);
+    for (const watcher of watchers.values()) watcher.close();
+    for (const client of clients) client.end();
+    server.close();
+    log('\n✅ Stopped.');
+    process.exit(EXIT_CODES.ok);
+  });
+}
+
+function sessionFileForChange(projectPath, relativeName) {
+  // Map a changed transcript to the session file it belongs to
+  const parts = relativeName.split(path.sep);
+  if (parts.length > 1) return path.join(projectPath, parts[0] + '.jsonl'); // <sessionId>/subagents/…
+  if (isSubagentFileName(parts[0])) {
+    const parentId = readFirstField(path.join(projectPath, parts[0]), 'sessionId');
+    return parentId ? path.join(projectPath, parentId + '.jsonl') : null;
+  }
+  return path.join(projectPath, parts[0]);
+}
+
+function watchSessionFiles(projectRoots, onChange) {
+  // Watch each projects dir for new project dirs, and each project dir for
+  // transcript writes. Writes arrive in bursts, so each file is debounced.
+  const watchers = new Map();
+  const timers = new Map();
+
+  const schedule = (filePath) => {
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => {
+      timers.delete(filePath);
+      onChange(filePath);
+    }, WATCH_DEBOUNCE_MS));
+  };
+
+  const watchDir = (dirPath, recursive, onName) => {
+    if (watchers.has(dirPath)) return;
+    try {
+      const listener = (eventType, filename) => {
+        if (filename) onName(filename.toString());
+      };
+      // Project dirs are watched recursively so nested subagent transcripts
+      // are seen; not every platform/Node version supports it, so fall back
+      let watcher;
+      try {
+        watcher = fs.watch(dirPath, { recursive }, listener);
+      } catch (e) {
+        watcher = fs.watch(dirPath, listener);
+      }
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dirPath);
+      });
+      watchers.set(dirPath, watcher);
+    } catch (e) {
+      warn(`   Could not watch ${dirPath}: ${e.message}`);
+    }
+  };
+
+  const watchProjectDir = (projectPath) => {
+    watchDir(projectPath, true, (name) => {
+      if (!name.endsWith('.jsonl')) return;
+      const sessionFile = sessionFileForChange(projectPath, name);
+      if (sessionFile) schedule(sessionFile);
+    });
+  };
+
+  for (const root of projectRoots) {
+    if (!fs.existsSync(root)) continue;
+    watchDir(root, false, (name) => {
+      const projectPath = path.join(root, name);
+      try {
+        if (!fs.statSync(projectPath).isDirectory()) return;
+      } catch (e) {
+        return; // removed again
+      }
+      watchProjectDir(projectPath);
+      // Transcripts may already exist by the time the new dir is noticed
+      for (const f of fs.readdirSync(projectPath)) {
+        const sessionFile = f.endsWith('.jsonl') && sessionFileForChange(projectPath, f);
+        if (sessionFile) schedule(sessionFile);
+      }
+    });
+    for (const d of fs.readdirSync(root, { withFileTypes: true })) {
+      if (d.isDirectory()) watchProjectDir(path.join(root, d.name));
+    }
+  }
+  return watchers;
+}
+
+// ─── Server-side Helpers ────────────────────────────────────────────────────
+
+function shortenHome(cwdPath) {
+  if (!cwdPath) return '';
+  const home = os.homedir();
+  if (cwdPath.startsWith(home)) {
+    return '~' + cwdPath.slice(home.length);
+  }
+  return cwdPath;
+}
+
+// ─── Server-side HTML Escaping ──────────────────────────────────────────────
+
+function escapeHTML(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function formatDate(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function formatTime(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  return d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+function describeScope(options) {
+  const parts = [];
+  if (options.sources.length) parts.push(`sources ${options.sources.join(', ')}`);
+  if (options.project) parts.push(`project ${options.project}`);
+  if (options.session) parts.push(`session ${options.session}*`);
+  if (options.since) parts.push(`since ${options.since.toLocaleString()}`);
+  if (options.until) parts.push(`until ${options.until.toLocaleString()}`);
+  return parts.join(', ');
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(EXIT_CODES.usage);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  configureLogging(options);
+  if (options.redact) {
+    try {
+      options.redactor = createRedactor(options.redactPatterns);
+    } catch (e) {
+      logError(e.message);
+      process.exit(EXIT_CODES.usage);
+    }
+  }
+
+  log('🔍 Discovering Claude Code sessions...');
+  const sessionFiles = discoverSessionFiles(options);
+  log(`   Found ${sessionFiles.length} session files`, { event: 'discovered', sessionFiles: sessionFiles.length });
+  const scopeDesc = describeScope(options);
+  if (scopeDesc) log(`   Scope: ${scopeDesc}`);
+
+  if (sessionFiles.length === 0) {
+    if (scopeDesc) {
+      logError('No session files match the given scope.');
+    } else {
+      logError(`No session files found in ${resolveProjectRoots(options.sources).join(', ')}. Is Claude Code installed?`);
+    }
+    process.exit(EXIT_CODES.noSessions);
+  }
+
+  log('📖 Parsing sessions and extracting Q&A...');
+  const allSessions = loadSessionFiles(sessionFiles, options);
+
+  log(`   Parsed ${allSessions.length} sessions`);
+  const qaCount = allSessions.filter(s => s.qaPairs.length > 0).length;
+  const totalQA = allSessions.reduce((sum, s) => sum + s.qaPairs.length, 0);
+  log(`   Found ${qaCount} sessions with ${totalQA} total Q&A interactions`, { event: 'parsed', sessions: allSessions.length, qaSessions: qaCount, qa: totalQA });
+  if (options.redactor) {
+    const redactedSessions = allSessions.filter(s => countRedactions(s.redactions) > 0);
+    const redactedTotal = redactedSessions.reduce((sum, s) => sum + countRedactions(s.redactions), 0);
+    log(`🔒 Redacted ${redactedTotal} values in ${redactedSessions.length} sessions`, { event: 'redacted', redactions: redactedTotal, sessions: redactedSessions.length });
+  }
+
+  if (options.serve) {
+    startLiveServer(allSessions, options);
+    return;
+  }
+
+  if (options.format === 'html' && options.session && !options.suggestInstructions) {
+    if (allSessions.length === 1) {
+      options.singleSession = allSessions[0];
+      log(`   Writing a standalone page for session ${allSessions[0].meta.sessionId}`);
+    } else {
+      log(`   --session ${options.session} matches ${allSessions.length} sessions; use a longer prefix for a single-session page`);
+    }
+  }
+
+  const viewModel = buildViewModel(allSessions);
+  log(`\n📝 Generating ${options.suggestInstructions ? 'instruction suggestions' : options.format === 'html' ? 'HTML' : options.format === 'markdown' ? 'Markdown' : options.format.toUpperCase()}...`);
+
+  if (options.outDir) {
+    let indexPath;
+    try {
+      indexPath = writeOutputDir(path.resolve(options.outDir), viewModel, { offline: options.offline, session: options.singleSession });
+    } catch (e) {
+      logError(`Could not write ${options.outDir}: ${e.message}`);
+      process.exit(EXIT_CODES.error);
+    }
+    log(`   Written to ${indexPath}`, { event: 'written', path: indexPath });
+    if (options.open) openInBrowser(indexPath);
+    log('✅ Done!');
+    return;
+  }
+
+  const output = renderOutput(viewModel, options);
+  if (options.out === '-') {
+    process.stdout.write(output);
+    log('✅ Done!');
+    return;
+  }
+
+  const outputPath = options.out
+    ? path.resolve(options.out)
+    : OUTPUT_PATH.replace(/\.html$/, '.' + OUTPUT_EXTENSIONS[options.format]);
+  try {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, output, 'utf-8');
+  } catch (e) {
+    logError(`Could not write ${outputPath}: ${e.message}`);
+    process.exit(EXIT_CODES.error);
+  }
+  log(`   Written to ${outputPath}`, { event: 'written', path: outputPath });
+
+  if (options.format === 'html' && !options.suggestInstructions && options.open) openInBrowser(outputPath);
+  log('✅ Done!');
+}
+
+function configureLogging(options) {
+  const out = options.out === '-' ? process.stderr : process.stdout;
+  const quietLog = () => {};
+  if (options.jsonLog) {
+    // One object per line; emoji and indentation are dropped from messages
+    const emit = (stream, level) => (message, fields = {}) => {
+      const text = message.replace(/^[^\p{L}\p{N}-]+/u, '');
+      stream.write(JSON.stringify({ time: new Date().toISOString(), level, message: text, ...fields }) + '\n');
+    };
+    log = options.quiet ? quietLog : emit(out, 'info');
+    warn = emit(process.stderr, 'warn');
+    logError = emit(process.stderr, 'error');
+    return;
+  }
+  log = options.quiet ? quietLog : (message) => out.write(message + '\n');
+  warn = (message) => process.stderr.write(message + '\n');
+  logError = warn;
+}
+
+function renderOutput(viewModel, options) {
+  if (options.suggestInstructions) {
+    return renderInstructionSuggestions(buildInstructionSuggestions(viewModel.sessions.map(toClientSession)), new Date().toISOString());
+  }
+  switch (options.format) {
+    case 'markdown':
+      return renderQAMarkdown(viewModel.sessions.map(toClientSession), new Date().toISOString());
+    case 'json':
+    case 'jsonl':
+    case 'csv':
+      return formatQARecords(buildQARecords(viewModel.sessions), options.format);
+    default:
+      return renderHTML(viewModel, { offline: options.offline, session: options.singleSession });
+  }
+}
+
+function loadSessionFiles(sessionFiles, options) {
+  const allSessions = [];
+  const malformedFiles = [];
+  const cache = openIndexCache({ rebuild: options.rebuildCache, variant: options.includeThinking ? 'thinking' : '' });
+
+  for (const fileInfo of sessionFiles) {
+    try {
+      const stat = statSessionFiles(fileInfo);
+      let result = cache.get(fileInfo, stat);
+      if (!result) {
+        result = parseSessionFile(fileInfo, options);
+        cache.set(fileInfo, stat, result);
+      }
+      const { meta, qaPairs, timeline, stats } = result;
+      if (stats.malformed > 0) malformedFiles.push({ sessionId: fileInfo.sessionId, count: stats.malformed });
+      if (stats.lines === 0) continue;
+
+      const session = { meta, qaPairs, timeline, filePath: fileInfo.filePath };
+      if (options.redactor) redactSession(session, options.redactor);
+      allSessions.push(session);
+    } catch (e) {
+      // Skip files that fail to parse
+      warn(`   Skipped ${fileInfo.sessionId}: ${e.message}`);
+    }
+  }
+
+  cache.save();
+  log(`   ${cache.counts.hits} from cache, ${cache.counts.misses} parsed`);
+
+  if (malformedFiles.length > 0) {
+    // Usually a partially written last line in a session that is still running
+    const totalMalformed = malformedFiles.reduce((sum, f) => sum + f.count, 0);
+    warn(`   Ignored ${totalMalformed} malformed lines in ${malformedFiles.length} files`);
+    for (const f of malformedFiles.slice(0, 5)) {
+      warn(`     ${f.sessionId}: ${f.count}`);
+    }
+    if (malformedFiles.length > 5) warn(`     …and ${malformedFiles.length - 5} more`);
+  }
+
+  return allSessions;
+}
+
+function openInBrowser(target) {
+  log('🌐 Opening in browser...');
+  try {
+    execSync(`${OPEN_CMD} "${target}"`, { stdio: 'ignore' });
+  } catch (e) {
+    // Headless machines have no opener; the file is still written
+    log(`   Could not auto-open. Open manually: ${target}`);
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+// require('./visualize-qa.js') exposes the pipeline without running the CLI:
+//
+//   const qa = require('./visualize-qa.js');
+//   const sessions = qa.loadSessions({ project: 'my-app', since: '2025-06-01' });
+//   fs.writeFileSync('qa.html', qa.renderHTML(qa.buildViewModel(sessions)));
+
+/**
+ * @typedef {object} LoadOptions
+ * @property {string[]} [sources] Claude config or projects dirs (default $CLAUDE_CONFIG_DIR or ~/.claude)
+ * @property {string} [project] project name suffix or exact cwd path
+ * @property {boolean} [cwdOnly] only the project of process.cwd()
+ * @property {Date|string} [since] sessions with activity on or after this date
+ * @property {Date|string} [until] sessions started on or before this date
+ * @property {string} [session] session ID prefix
+ * @property {boolean} [includeThinking] keep thinking blocks
+ * @property {boolean} [redact] mask secrets, emails and the home path
+ * @property {string} [redactPatterns] file with extra patterns to mask; implies redact
+ * @property {boolean} [rebuildCache] ignore the index cache
+ */
+
+/**
+ * @typedef {object} FileInfo
+ * @property {string} filePath
+ * @property {string} projectDir encoded project dir name, e.g. "-Users-me-my-app"
+ * @property {string} sessionId
+ * @property {string[]} subagentFiles
+ */
+
+/**
+ * @typedef {object} SessionMeta
+ * @property {string} sessionId
+ * @property {string} projectDir
+ * @property {string} projectName
+ * @property {string} slug custom title, generated slug or short ID
+ * @property {boolean} isRenamed
+ * @property {string} resumedFrom session this one was resumed from, or ''
+ * @property {string} cwd
+ * @property {string} startTime ISO timestamp
+ * @property {string} firstUserMessage
+ */
+
+/**
+ * @typedef {object} Question
+ * @property {string} question
+ * @property {string} [header]
+ * @property {boolean} [multiSelect]
+ * @property {{label: string, description?: string}[]} [options]
+ */
+
+/**
+ * @typedef {object} QAPair
+ * @property {Question[]} questions
+ * @property {Object<string, string>} answers answer text keyed by question text
+ * @property {{selectedOptions: string[], customAnswer: string}[]} selections aligned with questions
+ * @property {string} askTimestamp
+ * @property {string} answerTimestamp
+ * @property {number} askLineIndex
+ * @property {number} answerLineIndex
+ * @property {string} toolUseId
+ * @property {string} [reasoning] thinking before the question (includeThinking)
+ * @property {string} [agentId] set when a subagent asked
+ */
+
+/**
+ * @typedef {object} ToolResult
+ * @property {boolean} isError
+ * @property {number|null} [exitCode] Bash only
+ * @property {string} [stdout] Bash only
+ * @property {string} [stderr] Bash only
+ * @property {boolean} [interrupted] Bash only
+ * @property {string} [text] other tools
+ */
+
+/**
+ * One transcript item. `type` decides which fields are set:
+ * user_text, assistant_text and thinking have `content`; ask_user_question has
+ * `questions`; user_answer has `answers`; tool_use has `toolName`, `content`
+ * and optionally `edits` and `result`; subagent and fork nest a `timeline`.
+ * @typedef {object} TimelineEntry
+ * @property {'user_text'|'assistant_text'|'thinking'|'ask_user_question'|'user_answer'|'tool_use'|'subagent'|'fork'} type
+ * @property {string} timestamp
+ * @property {number} [lineIndex]
+ * @property {string} [content]
+ * @property {string} [toolUseId]
+ * @property {string} [toolName]
+ * @property {Question[]} [questions]
+ * @property {Object<string, string>} [answers]
+ * @property {{oldString: string, newString: string}[]} [edits]
+ * @property {ToolResult} [result]
+ * @property {string} [agentId]
+ * @property {string} [description]
+ * @property {string} [subagentType]
+ * @property {TimelineEntry[]} [timeline]
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {SessionMeta} meta
+ * @property {QAPair[]} qaPairs chronological by answer time
+ * @property {TimelineEntry[]} timeline
+ * @property {string} filePath
+ * @property {Object<string, number>} [redactions] masked values per detector (redact)
+ */
+
+/**
+ * @typedef {object} ViewModel
+ * @property {number} totalSessions
+ * @property {number} totalProjects
+ * @property {number} qaSessionCount
+ * @property {number} totalQA
+ * @property {Object<string, Session[]>} grouped sessions with Q&A by project name
+ * @property {Session[]} sessions sessions with Q&A, newest first
+ * @property {number|null} redactionTotal
+ */
+
+/**
+ * @typedef {object} RenderOptions
+ * @property {boolean} [offline] inline all CSS and icons
+ * @property {Session} [session] render a standalone page for this session only
+ * @property {string} [chunkBase] leave timelines out and load them from
+ *   `<chunkBase><sessionId>.js` (see writeOutputDir)
+ */
+
+/**
+ * @typedef {object} QuestionCluster
+ * @property {string} question most common wording
+ * @property {number} count times asked
+ * @property {number} sessionCount
+ * @property {string[]} projects
+ * @property {string[]} options option labels offered in any occurrence
+ * @property {{answer: string, count: number}[]} answers most common first
+ * @property {number} answered occurrences with an answer
+ * @property {number} consistency share of answered occurrences that gave the top answer
+ * @property {boolean} alwaysSame answered at least twice, the same way every time
+ * @property {{sessionId: string, sessionName: string, project: string, toolUseId: string, questionIndex: number, question: string, answer: string, askedAt: string}[]} occurrences newest first
+ */
+
+/**
+ * Discover, parse (through the index cache) and optionally redact sessions.
+ * Throws on invalid dates or an unreadable redaction pattern file.
+ * @param {LoadOptions} [options]
+ * @returns {Session[]} every non-empty session in scope, with or without Q&A
+ */
+function loadSessions(options = {}) {
+  const resolved = resolveLoadOptions(options);
+  return loadSessionFiles(discoverSessionFiles(resolved), resolved);
+}
+
+function resolveLoadOptions(options) {
+  // Same defaults as the CLI, so callers only pass what they need
+  const resolved = { sources: [], project: '', since: null, until: null, session: '', includeThinking: false, rebuildCache: false, ...options };
+  if (resolved.cwdOnly) resolved.project = process.cwd();
+  if (typeof resolved.since === 'string') resolved.since = parseDateArg(resolved.since, false);
+  if (typeof resolved.until === 'string') resolved.until = parseDateArg(resolved.until, true);
+  if (resolved.redact || resolved.redactPatterns) resolved.redactor = createRedactor(resolved.redactPatterns);
+  return resolved;
+}
+
+module.exports = {
+  loadSessions,
+  discoverSessionFiles,
+  parseJSONLFile,
+  parseSessionFile,
+  extractQAPairs,
+  extractSessionMeta,
+  buildSessionTimeline,
+  redactSession,
+  createRedactor,
+  buildViewModel,
+  renderHTML,
+  writeOutputDir,
+  renderQAMarkdown,
+  clusterQuestions,
+  buildInstructionSuggestions,
+  renderInstructionSuggestions,
+  toClientSession,
+  buildQARecords,
+  formatQARecords,
+  QA_RECORD_SCHEMA_VERSION,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    logError(`Unexpected error: ${e.stack || e.message}`);
+    process.exit(EXIT_CODES.error);
+  }
+}